@@ -6,4 +6,8 @@ module.exports = {
     autoload: [
         'src',
     ],
+    // Translation dirs for arpen-i18n
+    i18n: [
+        'translations',
+    ],
 };
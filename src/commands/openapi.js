@@ -0,0 +1,77 @@
+/**
+ * OpenAPI command
+ * @module express/commands/openapi
+ */
+const path = require('path');
+
+/**
+ * Command to write OpenAPI document of a server
+ */
+class OpenApiCommand {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {Filer} filer             Filer service
+     * @param {OpenApi} openApi         OpenAPI service
+     */
+    constructor(app, config, filer, openApi) {
+        this._app = app;
+        this._config = config;
+        this._filer = filer;
+        this._openApi = openApi;
+    }
+
+    /**
+     * Service name is 'commands.openapi'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.openapi';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'filer', 'openApi' ];
+    }
+
+    /**
+     * Run the command: "openapi <server> [<file>] [--version=<version>]", the document is printed when
+     * the file is omitted
+     * @param {string[]} argv           Arguments
+     * @return {Promise}
+     */
+    async run(argv) {
+        let version = null;
+        let args = argv.slice(1).filter(arg => {
+            let match = /^--version=(.+)$/.exec(arg);
+            if (match)
+                version = match[1];
+            return !match;
+        });
+        let [ name, filename ] = args;
+        if (!name) {
+            await this._app.error('Usage: openapi <server> [<file>] [--version=<version>]');
+            return 1;
+        }
+        if (!this._config.get(`servers.${name}`)) {
+            await this._app.error(`Server ${name} not found in config`);
+            return 1;
+        }
+
+        let contents = JSON.stringify(this._openApi.generate(name, version), undefined, 4) + '\n';
+        if (!filename) {
+            await this._app.info(contents.trimRight());
+            return 0;
+        }
+
+        await this._filer.lockWrite(path.resolve(filename), contents);
+        await this._app.info(`OpenAPI document of ${name} written to ${filename}`);
+        return 0;
+    }
+}
+
+module.exports = OpenApiCommand;
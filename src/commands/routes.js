@@ -0,0 +1,87 @@
+/**
+ * Routes command
+ * @module express/commands/routes
+ */
+
+/**
+ * Command to print route table of the servers
+ */
+class RoutesCommand {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {Routes} routes           Routes middleware
+     */
+    constructor(app, config, routes) {
+        this._app = app;
+        this._config = config;
+        this._routes = routes;
+    }
+
+    /**
+     * Service name is 'commands.routes'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.routes';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'express.routes' ];
+    }
+
+    /**
+     * Run the command: "routes [server ...]", all express servers by default
+     * @param {string[]} argv           Arguments
+     * @return {Promise}
+     */
+    async run(argv) {
+        let names = argv.slice(1);
+        if (!names.length) {
+            let servers = this._config.get('servers') || {};
+            names = Object.keys(servers).filter(name => servers[name] && servers[name].class === 'servers.express');
+        }
+
+        for (let name of names) {
+            if (!this._config.get(`servers.${name}`)) {
+                await this._app.error(`Server ${name} not found in config`);
+                return 1;
+            }
+
+            let rows = [ [ 'METHOD', 'PATH', 'VERSION', 'MODULE', 'PRIORITY', 'HOSTS', 'MIDDLEWARE' ] ];
+            for (let route of this._routes.getRoutes(name)) {
+                rows.push([
+                    route.method,
+                    route.path,
+                    route.version === null ? '*' : `v${route.version}${route.deprecated ? ' (deprecated)' : ''}`,
+                    route.id ? `${route.module} (${route.id})` : route.module,
+                    String(route.priority),
+                    route.hosts ? route.hosts.join(', ') : '*',
+                    route.middleware.join(', '),
+                ]);
+            }
+            await this._app.info(`Server ${name}:\n\n${this._formatTable(rows)}\n`);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Align table columns
+     * @param {Array[]} rows            Rows of strings
+     * @return {string}
+     */
+    _formatTable(rows) {
+        let widths = rows[0].map((column, index) => Math.max(...rows.map(row => row[index].length)));
+        return rows
+            .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimRight())
+            .join('\n');
+    }
+}
+
+module.exports = RoutesCommand;
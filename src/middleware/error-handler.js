@@ -2,11 +2,20 @@
  * Error handling middleware
  * @module express/middleware/error
  */
+const path = require('path');
 const http = require('http');
+const pug = require('pug');
 const NError = require('nerror');
 
 /**
- * Error handler
+ * Error handler. The response format is negotiated: XHR and JSON clients get application/problem+json
+ * (RFC 7807), browsers get the error view and the others get plain text. servers.<name>.error_formats
+ * forces 'json', 'html' or 'text' format for mount paths, e.g. { '/api': 'json' }
+ *
+ * The first existing view of error-<status>, error-<class>xx and error is rendered, e.g. error-404, error-4xx,
+ * error. Modules override the base name for a mount path or hosts with error_views entries of their config:
+ * [ { prefix: '/admin', hosts: [ 'admin.example.com' ], view: 'admin/error' } ], in which case admin/error-404,
+ * admin/error-4xx and admin/error are tried first. When no view exists the built-in views/error.pug is used
  */
 class ErrorHandler {
     /**
@@ -53,6 +62,17 @@ class ErrorHandler {
             if (res.headersSent)
                 return;
 
+            let form = (err.info && err.info.form) || null;
+            res.vary('Accept');
+            switch (this._getFormat(server, req)) {
+                case 'json':
+                    res.status(status).type('application/problem+json');
+                    return res.send(JSON.stringify(this._getProblem(err, status, req)));
+                case 'text':
+                    return res.status(status).type('text/plain').send(this._getText(err, status));
+            }
+
+            res.locals.form = form;
             res.locals.statusCode = status;
             res.locals.statusPhrase = http.STATUS_CODES[status];
             res.locals.data = null;
@@ -63,9 +83,190 @@ class ErrorHandler {
             }
 
             res.status(status);
-            res.render('error');
+            let name = this._findView(req.app, this._getViewNames(server, req, status));
+            if (!name)
+                return this._renderDefault(res);
+
+            res.render(name, (error, html) => {
+                if (error) {
+                    this._logger.error(new NError(error, `Could not render error view ${name}`));
+                    return this._renderDefault(res);
+                }
+                res.send(html);
+            });
         });
     }
+
+    /**
+     * Response format of the request
+     * @param {Express} server          The server
+     * @param {object} req              Express request
+     * @return {string}                 'json', 'html' or 'text'
+     */
+    _getFormat(server, req) {
+        let formats = this._config.get(`servers.${server.name}.error_formats`) || {};
+        let url = req.originalUrl.split('?')[0];
+        let forced = Object.keys(formats)
+            .filter(prefix => url === prefix || url.startsWith(prefix.endsWith('/') ? prefix : prefix + '/'))
+            .sort((a, b) => b.length - a.length)[0];
+        if (forced)
+            return formats[forced];
+
+        if (req.xhr)
+            return 'json';
+
+        switch (req.accepts([ 'text', 'html', 'json', 'application/problem+json' ])) {
+            case 'html':
+                return 'html';
+            case 'json':
+            case 'application/problem+json':
+                return 'json';
+        }
+        return 'text';
+    }
+
+    /**
+     * Error views to try, most specific first
+     * @param {Express} server          The server
+     * @param {object} req              Express request
+     * @param {number} status           HTTP status
+     * @return {string[]}
+     */
+    _getViewNames(server, req, status) {
+        let bases = [];
+        let override = this._getViewOverride(server, req);
+        if (override)
+            bases.push(override);
+        bases.push('error');
+
+        let names = [];
+        for (let base of bases)
+            names.push(`${base}-${status}`, `${base}-${Math.floor(status / 100)}xx`, base);
+        return names;
+    }
+
+    /**
+     * Base name of the error view from error_views of the modules. The entry with the longest matching
+     * prefix wins, entries with hosts only apply to these hosts
+     * @param {Express} server          The server
+     * @param {object} req              Express request
+     * @return {string|null}
+     */
+    _getViewOverride(server, req) {
+        let url = req.originalUrl.split('?')[0];
+        let hostname = req.vhost || req.hostname;
+        let found = null;
+        for (let moduleConfig of this._config.modules.values()) {
+            for (let entry of moduleConfig.error_views || []) {
+                if (!entry.view)
+                    continue;
+                if (Array.isArray(entry.hosts) && (!hostname || !server.matchHost(hostname, entry.hosts)))
+                    continue;
+
+                let prefix = entry.prefix || '';
+                if (prefix && prefix !== '/' && url !== prefix && !url.startsWith(prefix.endsWith('/') ? prefix : prefix + '/'))
+                    continue;
+
+                if (!found || prefix.length > found.prefix.length)
+                    found = { prefix, view: entry.view };
+            }
+        }
+        return found && found.view;
+    }
+
+    /**
+     * First of the views that exists in the app
+     * @param {object} app              Express app
+     * @param {string[]} names          View names
+     * @return {string|null}
+     */
+    _findView(app, names) {
+        let View = app.get('view');
+        for (let name of names) {
+            try {
+                let view = new View(name, {
+                    defaultEngine: app.get('view engine'),
+                    root: app.get('views'),
+                    engines: app.engines,
+                });
+                if (view.path)
+                    return name;
+            } catch (error) {
+                // no default engine or the engine is not installed
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render the built-in error view with res.locals
+     * @param {object} res              Express response
+     */
+    _renderDefault(res) {
+        let html;
+        try {
+            html = pug.renderFile(path.join(__dirname, '..', '..', 'views', 'error.pug'), res.locals);
+        } catch (error) {
+            this._logger.error(new NError(error, 'Could not render built-in error view'));
+            return res.type('text/plain').send(`${res.locals.statusCode} ${res.locals.statusPhrase}\n`);
+        }
+        res.type('html').send(html);
+    }
+
+    /**
+     * RFC 7807 problem details. Outside of development internal errors are reported without details and
+     * only form and the keys listed in info.public array of the error are exposed, e.g.
+     * new NError({ httpStatus: 409, field: 'email', public: [ 'field' ] }, 'Duplicate email')
+     * @param {Error} err               The error
+     * @param {number} status           HTTP status
+     * @param {object} req              Express request
+     * @return {object}
+     */
+    _getProblem(err, status, req) {
+        let problem = {
+            type: 'about:blank',
+            title: http.STATUS_CODES[status],
+            status,
+            instance: req.originalUrl,
+        };
+
+        let exposed = status < 500 || this._config.get('env') === 'development';
+        if (!exposed)
+            return problem;
+
+        problem.detail = (status >= 500 && err.messages) || err.message;
+        let info = Object.assign({}, err.info || {});
+        let allowed = Array.isArray(info.public) ? info.public : [];
+        delete info.httpStatus;
+        delete info.public;
+        if (this._config.get('env') !== 'development') {
+            for (let key of Object.keys(info)) {
+                if (key !== 'form' && !allowed.includes(key))
+                    delete info[key];
+            }
+        }
+        if (info.form) {
+            Object.assign(problem, info.form);
+            delete info.form;
+        }
+        if (Object.keys(info).length)
+            problem.info = info;
+
+        return problem;
+    }
+
+    /**
+     * Plain text error
+     * @param {Error} err               The error
+     * @param {number} status           HTTP status
+     * @return {string}
+     */
+    _getText(err, status) {
+        let text = `${status} ${http.STATUS_CODES[status]}`;
+        if (status < 500 || this._config.get('env') === 'development')
+            text += `\n${err.message}`;
+        return text + '\n';
+    }
 }
 
 module.exports = ErrorHandler;
@@ -0,0 +1,146 @@
+/**
+ * Health check middleware
+ * @module express/middleware/health
+ */
+
+/**
+ * Health, readiness and liveness endpoints
+ */
+class Health {
+    /**
+     * Create the service
+     * @param {object} config           Configuration
+     * @param {Logger} logger           Logger service
+     */
+    constructor(config, logger) {
+        this._config = config;
+        this._logger = logger;
+        this._checks = new Map();
+    }
+
+    /**
+     * Service name is 'express.health'
+     * @type {string}
+     */
+    static get provides() {
+        return 'express.health';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'logger' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Default check timeout, ms
+     * @type {number}
+     */
+    static get checkTimeout() {
+        return 5 * 1000;
+    }
+
+    /**
+     * Add health check
+     * @param {string} name                         Check name
+     * @param {function} check                      Async function, the check fails if it throws
+     * @param {object} [options]                    Check options
+     * @param {number} [options.timeout]            Timeout in ms
+     * @param {string[]} [options.servers]          Limit the check to these servers
+     */
+    addCheck(name, check, options = {}) {
+        if (this._checks.has(name))
+            throw new Error(`Health check ${name} already exists`);
+
+        let { timeout = this.constructor.checkTimeout, servers = null } = options;
+        this._checks.set(name, { check, timeout, servers });
+    }
+
+    /**
+     * Remove health check
+     * @param {string} name                         Check name
+     */
+    removeCheck(name) {
+        this._checks.delete(name);
+    }
+
+    /**
+     * Run health checks
+     * @param {string} server                       Server name
+     * @return {Promise}                            Resolves to { success, checks }
+     */
+    async runChecks(server) {
+        let success = true;
+        let checks = {};
+        await Promise.all(
+            Array.from(this._checks).map(async ([ name, { check, timeout, servers } ]) => {
+                if (servers && !servers.includes(server))
+                    return;
+
+                let started = Date.now();
+                let timer;
+                try {
+                    await Promise.race([
+                        check(server),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(new Error('Timeout')), timeout);
+                        }),
+                    ]);
+                    checks[name] = { status: 'ok', time: Date.now() - started };
+                } catch (error) {
+                    this._logger.debug('express', `${server}: Health check ${name} failed: ${error.message}`);
+                    success = false;
+                    checks[name] = { status: 'fail', time: Date.now() - started, error: error.message };
+                } finally {
+                    clearTimeout(timer);
+                }
+            })
+        );
+        return { success, checks };
+    }
+
+    /**
+     * Register middleware
+     * @param {Express} server          The server
+     * @return {Promise}
+     */
+    async register(server) {
+        let config = this._config.get(`servers.${server.name}.health`) || {};
+
+        server.express.get(config.live_path || '/livez', (req, res) => {
+            res.json({ status: 'ok' });
+        });
+
+        server.express.get(config.health_path || '/healthz', async (req, res, next) => {
+            try {
+                let { success, checks } = await this.runChecks(server.name);
+                res.status(success ? 200 : 503).json({ status: success ? 'ok' : 'fail', checks });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        server.express.get(config.ready_path || '/readyz', async (req, res, next) => {
+            try {
+                let ready = server.listening && !server.draining;
+                let { success, checks } = await this.runChecks(server.name);
+                success = success && ready;
+                res.status(success ? 200 : 503).json({ status: success ? 'ok' : 'fail', ready, checks });
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+}
+
+module.exports = Health;
@@ -0,0 +1,305 @@
+/**
+ * Metrics middleware
+ * @module express/middleware/metrics
+ */
+const NError = require('nerror');
+
+/**
+ * Prometheus metrics of HTTP and socket.io traffic. Socket events not listened to by the server
+ * are counted as event="other" so that clients can not create new series
+ */
+class Metrics {
+    /**
+     * Create the service
+     * @param {object} config           Configuration
+     */
+    constructor(config) {
+        this._config = config;
+        this._counters = new Map();
+        this._gauges = new Map();
+        this._histograms = new Map();
+        this._servers = new Map();
+        this._listeners = new Map();
+    }
+
+    /**
+     * Service name is 'express.metrics'
+     * @type {string}
+     */
+    static get provides() {
+        return 'express.metrics';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config' ];
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Request duration histogram buckets, seconds
+     * @type {number[]}
+     */
+    static get buckets() {
+        return [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+    }
+
+    /**
+     * Metric descriptions
+     * @type {object}
+     */
+    static get descriptions() {
+        return {
+            http_requests_total: 'Total number of HTTP requests',
+            http_request_duration_seconds: 'HTTP request duration in seconds',
+            http_requests_in_flight: 'Number of HTTP requests being served',
+            socketio_connections: 'Number of open socket.io connections',
+            socketio_events_total: 'Total number of received socket.io events',
+            socketio_rate_limited_total: 'Total number of socket.io limit violations',
+            session_created_total: 'Total number of created sessions',
+            session_updated_total: 'Total number of saved sessions',
+        };
+    }
+
+    /**
+     * Increment a counter
+     * @param {string} name                 Metric name
+     * @param {object} labels               Metric labels
+     * @param {number} [value=1]            Increment
+     */
+    inc(name, labels, value = 1) {
+        let metric = this._counters.get(name);
+        if (!metric) {
+            metric = new Map();
+            this._counters.set(name, metric);
+        }
+        let key = this._formatLabels(labels);
+        metric.set(key, (metric.get(key) || 0) + value);
+    }
+
+    /**
+     * Set a gauge
+     * @param {string} name                 Metric name
+     * @param {object} labels               Metric labels
+     * @param {number} value                The value
+     */
+    set(name, labels, value) {
+        let metric = this._gauges.get(name);
+        if (!metric) {
+            metric = new Map();
+            this._gauges.set(name, metric);
+        }
+        metric.set(this._formatLabels(labels), value);
+    }
+
+    /**
+     * Add an observation to a histogram
+     * @param {string} name                 Metric name
+     * @param {object} labels               Metric labels
+     * @param {number} value                The value
+     */
+    observe(name, labels, value) {
+        let metric = this._histograms.get(name);
+        if (!metric) {
+            metric = new Map();
+            this._histograms.set(name, metric);
+        }
+        let key = this._formatLabels(labels);
+        let histogram = metric.get(key);
+        if (!histogram) {
+            histogram = { labels, buckets: this.constructor.buckets.map(() => 0), sum: 0, count: 0 };
+            metric.set(key, histogram);
+        }
+        this.constructor.buckets.forEach((bucket, index) => {
+            if (value <= bucket)
+                histogram.buckets[index]++;
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    /**
+     * Render metrics in Prometheus text format
+     * @return {string}
+     */
+    format() {
+        for (let [ name, server ] of this._servers)
+            this.set('socketio_connections', { server: name }, server.sockets.size);
+
+        let lines = [];
+        let header = (name, type) => {
+            if (this.constructor.descriptions[name])
+                lines.push(`# HELP ${name} ${this.constructor.descriptions[name]}`);
+            lines.push(`# TYPE ${name} ${type}`);
+        };
+
+        for (let [ name, metric ] of this._counters) {
+            header(name, 'counter');
+            for (let [ key, value ] of metric)
+                lines.push(`${name}${key} ${value}`);
+        }
+        for (let [ name, metric ] of this._gauges) {
+            header(name, 'gauge');
+            for (let [ key, value ] of metric)
+                lines.push(`${name}${key} ${value}`);
+        }
+        for (let [ name, metric ] of this._histograms) {
+            header(name, 'histogram');
+            for (let [ key, histogram ] of metric) {
+                this.constructor.buckets.forEach((bucket, index) => {
+                    let labels = this._formatLabels(Object.assign({}, histogram.labels, { le: String(bucket) }));
+                    lines.push(`${name}_bucket${labels} ${histogram.buckets[index]}`);
+                });
+                let labels = this._formatLabels(Object.assign({}, histogram.labels, { le: '+Inf' }));
+                lines.push(`${name}_bucket${labels} ${histogram.count}`);
+                lines.push(`${name}_sum${key} ${histogram.sum}`);
+                lines.push(`${name}_count${key} ${histogram.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Register middleware
+     * @param {Express} server          The server
+     * @return {Promise}
+     */
+    async register(server) {
+        let config = this._config.get(`servers.${server.name}.metrics`) || {};
+        this._servers.set(server.name, server);
+        this.set('http_requests_in_flight', { server: server.name }, 0);
+
+        server.express.use((req, res, next) => {
+            let started = process.hrtime();
+            let labels = { server: server.name };
+            this._add('http_requests_in_flight', labels, 1);
+
+            let done = false;
+            let onDone = () => {
+                if (done)
+                    return;
+
+                done = true;
+                this._add('http_requests_in_flight', labels, -1);
+
+                let [ seconds, nanoseconds ] = process.hrtime(started);
+                let route = req.route ? req.baseUrl + req.route.path : '';
+                let requestLabels = { server: server.name, method: req.method, route, status: String(res.statusCode) };
+                this.inc('http_requests_total', requestLabels);
+                this.observe('http_request_duration_seconds', requestLabels, seconds + nanoseconds / 1e9);
+            };
+            res.once('finish', onDone);
+            res.once('close', onDone);
+
+            next();
+        });
+
+        server.express.get(config.path || '/metrics', (req, res, next) => {
+            if (Array.isArray(config.allow) && !config.allow.includes(req.ip))
+                return next(new NError({ httpStatus: 403 }, 'Forbidden'));
+
+            if (config.auth && !this._checkAuth(req, config.auth)) {
+                res.set('WWW-Authenticate', 'Basic realm="metrics"');
+                return next(new NError({ httpStatus: 401 }, 'Unauthorized'));
+            }
+
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(this.format());
+        });
+
+        let onSocketConnection = (id, socket) => {
+            socket.use((packet, next) => {
+                let event = String(packet[0]);
+                if (!server.isSocketEvent(event, socket.nsp.name))
+                    event = 'other';
+                this.inc('socketio_events_total', { server: server.name, event });
+                next();
+            });
+        };
+        let listeners = [
+            [ 'socket_connection', onSocketConnection ],
+            [ 'socket_rate_limited', (id, event, reason) => {
+                this.inc('socketio_rate_limited_total', { server: server.name, event, reason });
+            } ],
+            [ 'session_create', () => {
+                this.inc('session_created_total', { server: server.name });
+            } ],
+            [ 'session_update', () => {
+                this.inc('session_updated_total', { server: server.name });
+            } ],
+        ];
+        let namespaces = this._config.get(`servers.${server.name}.socket.namespaces`) || {};
+        for (let namespace of Array.isArray(namespaces) ? namespaces : Object.keys(namespaces))
+            listeners.push([ `socket:${namespace}:connection`, onSocketConnection ]);
+
+        for (let [ event, listener ] of listeners)
+            server.on(event, listener);
+        this._listeners.set(server.name, listeners);
+    }
+
+    /**
+     * Unregister middleware
+     * @param {Express} server          The server
+     * @return {Promise}
+     */
+    async unregister(server) {
+        this._servers.delete(server.name);
+        for (let [ event, listener ] of this._listeners.get(server.name) || [])
+            server.removeListener(event, listener);
+        this._listeners.delete(server.name);
+    }
+
+    /**
+     * Add to a gauge
+     * @param {string} name                 Metric name
+     * @param {object} labels               Metric labels
+     * @param {number} value                Increment
+     */
+    _add(name, labels, value) {
+        let metric = this._gauges.get(name);
+        let key = this._formatLabels(labels);
+        this.set(name, labels, ((metric && metric.get(key)) || 0) + value);
+    }
+
+    /**
+     * Check basic auth credentials
+     * @param {object} req              Express request
+     * @param {object} auth             Config of { user, password }
+     * @return {boolean}
+     */
+    _checkAuth(req, auth) {
+        let [ type, credentials ] = (req.get('Authorization') || '').split(' ');
+        if (type !== 'Basic' || !credentials)
+            return false;
+
+        let decoded = Buffer.from(credentials, 'base64').toString();
+        let index = decoded.indexOf(':');
+        return index !== -1 && decoded.slice(0, index) === auth.user && decoded.slice(index + 1) === auth.password;
+    }
+
+    /**
+     * Format labels
+     * @param {object} labels               Metric labels
+     * @return {string}
+     */
+    _formatLabels(labels) {
+        let result = Object.keys(labels).map(key => {
+            let value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+            return `${key}="${value}"`;
+        });
+        return result.length ? `{${result.join(',')}}` : '';
+    }
+}
+
+module.exports = Metrics;
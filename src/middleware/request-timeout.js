@@ -0,0 +1,94 @@
+/**
+ * Request timeout middleware
+ * @module express/middleware/request-timeout
+ */
+const NError = require('nerror');
+
+/**
+ * Fails the requests not answered in servers.<name>.timeouts.handler seconds with 503.
+ * Route handlers can check req.timedout to skip the response, a late response is discarded
+ */
+class RequestTimeout {
+    /**
+     * Create the service
+     * @param {object} config           Configuration
+     */
+    constructor(config) {
+        this._config = config;
+    }
+
+    /**
+     * Service name is 'express.requestTimeout'
+     * @type {string}
+     */
+    static get provides() {
+        return 'express.requestTimeout';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config' ];
+    }
+
+    /**
+     * Register middleware
+     * @param {Express} server          The server
+     * @return {Promise}
+     */
+    async register(server) {
+        let timeout = this._config.get(`servers.${server.name}.timeouts.handler`);
+        if (typeof timeout !== 'number')
+            return;
+
+        server.express.use((req, res, next) => {
+            req.timedout = false;
+
+            let timer = setTimeout(
+                () => {
+                    if (res.headersSent)
+                        return;
+
+                    req.timedout = true;
+                    this._discardLate(res);
+                    next(new NError({ httpStatus: 503 }, 'Request timeout'));
+                },
+                timeout * 1000
+            );
+            let onDone = () => {
+                clearTimeout(timer);
+            };
+            res.once('finish', onDone);
+            res.once('close', onDone);
+
+            next();
+        });
+    }
+
+    /**
+     * Turn the response methods into no-ops once the response has been started, so a handler
+     * responding after the timeout can not fail with ERR_HTTP_HEADERS_SENT
+     * @param {object} res              Express response
+     */
+    _discardLate(res) {
+        let guard = (methods, isDone) => {
+            for (let method of methods) {
+                let original = res[method];
+                res[method] = function () {
+                    if (isDone())
+                        return res;
+                    return original.apply(this, arguments);
+                };
+            }
+        };
+        guard(
+            [ 'send', 'json', 'jsonp', 'sendStatus', 'sendFile', 'render', 'redirect', 'set', 'header', 'setHeader', 'writeHead' ],
+            () => res.headersSent
+        );
+        guard([ 'write', 'end' ], () => res.finished);
+    }
+}
+
+module.exports = RequestTimeout;
@@ -2,17 +2,59 @@
  * Module-defined routes middleware
  * @module express/middleware/routes
  */
+const express = require('express');
+const NError = require('nerror');
+const Ajv = require('ajv');
 
 /**
- * Module-provided routes
+ * Route descriptor
+ * @typedef {object} RouteDescriptor
+ * @property {string} method            HTTP method
+ * @property {string} path              Express path
+ * @property {object} [params]          JSON schema of req.params, values are coerced
+ * @property {object} [query]           JSON schema of req.query, values are coerced
+ * @property {object} [body]            JSON schema of req.body
+ * @property {object} [response]        JSON schema of the result, checked in development
+ * @property {boolean} [auth]           Reject anonymous requests with 401
+ * @property {string} [summary]         Summary for OpenAPI document
+ * @property {string} [description]     Description for OpenAPI document
+ * @property {function} handler         Called as handler(req, res), the result is sent as JSON unless undefined
+ */
+
+/**
+ * Module-provided routes. Routers are mounted at their prefix ('/' by default), routers declaring
+ * hosts array only serve these virtual hosts. When servers.<name>.routers is set only the routers
+ * of the listed modules or with the listed ids (service names) are mounted
+ * <br><br>
+ * A router provides either express router as router property or array of {@link RouteDescriptor} as
+ * routes property. Invalid input of the descriptors is rejected with 400, its info.form is built by the form
+ * service (and so requires i18n) with form_field_required and form_field_invalid messages, the latter is
+ * shipped in translations/ of this module
+ * <br><br>
+ * Routers declaring version only serve the requests to this API version. Depending on
+ * servers.<name>.versioning.by the version is the URL prefix ('url', /v1/...), the media type parameter
+ * of Accept header ('accept', versioning.parameter, "version" by default) or the value of a header
+ * ('header', versioning.header, "Api-Version" by default). The latter two fall back to versioning.default
+ * or the latest version. Router deprecated property (true or { since, sunset, link }) adds Deprecation and
+ * Sunset headers to the responses of its version
  */
 class Routes {
     /**
      * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     * @param {Logger} logger           Logger service
      * @param {Map} modules             Loaded application modules
      */
-    constructor(modules) {
+    constructor(app, config, logger, modules) {
+        this._app = app;
+        this._config = config;
+        this._logger = logger;
         this._modules = modules;
+        this._deprecationLog = new Map();
+        this._compiled = new WeakMap();
+        this._inputAjv = new Ajv({ allErrors: true, verbose: true, useDefaults: true, coerceTypes: true, errorDataPath: 'property' });
+        this._bodyAjv = new Ajv({ allErrors: true, verbose: true, useDefaults: true, errorDataPath: 'property' });
     }
 
     /**
@@ -28,26 +70,480 @@ class Routes {
      * @type {string[]}
      */
     static get requires() {
-        return [ 'modules' ];
+        return [ 'app', 'config', 'logger', 'modules' ];
+    }
+
+    /**
+     * Interval of logging the use of a deprecated version, ms
+     * @type {number}
+     */
+    static get deprecationLogInterval() {
+        return 60 * 1000;
     }
 
     /**
-     * Register middleware
+     * Register middleware. In development the route table is served as JSON at servers.<name>.routes_path,
+     * OpenAPI document is served at servers.<name>.openapi.path
      * @param {Express} server          The server
      * @return {Promise}
      */
     async register(server) {
+        let routesPath = this._config.get(`servers.${server.name}.routes_path`);
+        if (routesPath && this._config.get('env') === 'development') {
+            server.express.get(routesPath, (req, res) => {
+                res.json(this.getRoutes(server.name).map(route => {
+                    let result = Object.assign({}, route);
+                    delete result.descriptor;
+                    return result;
+                }));
+            });
+        }
+
+        let openApiPath = this._config.get(`servers.${server.name}.openapi.path`);
+        if (openApiPath) {
+            server.express.get(openApiPath, (req, res) => {
+                res.json(this._app.get('openApi').generate(server.name, req.query.version));
+            });
+        }
+
+        let routers = this.getRouters(server.name);
+        let versioning = this.getVersioning(server.name);
+        let versions = routers.filter(info => info.version !== null).map(info => info.version);
+        if (versions.length && versioning.by !== 'url')
+            server.express.use(this._getVersionHandler(versioning, versions));
+
+        for (let info of routers) {
+            let router = this.getExpressRouter(info.router);
+            if (info.version !== null)
+                router = this._getVersionedRouter(info, router, versioning);
+            if (info.hosts)
+                server.express.use(info.prefix, server.forHosts(info.hosts, router));
+            else
+                server.express.use(info.prefix, router);
+            server.routers.push(info);
+        }
+    }
+
+    /**
+     * Routers of the server in the mounting order
+     * @param {string} serverName       Server name
+     * @return {object[]}               Array of { module, id, prefix, priority, hosts, version, deprecated, router }
+     */
+    getRouters(serverName) {
+        let selected = this._config.get(`servers.${serverName}.routers`);
+        let versioning = this.getVersioning(serverName);
+
         let routers = [];
-        for (let _module of this._modules.values()) {
+        for (let [ moduleName, _module ] of this._modules) {
             if (typeof _module.routers !== 'function')
                 continue;
-            for (let router of _module.routers())
-                routers.push(router);
+            for (let router of _module.routers()) {
+                if (Array.isArray(selected) && !this._isSelected(selected, moduleName, router))
+                    continue;
+
+                let version = (router.version === undefined || router.version === null)
+                    ? null
+                    : String(router.version).replace(/^v/i, '');
+                let prefix = router.prefix || '/';
+                if (version !== null && versioning.by === 'url')
+                    prefix = this._joinPaths(`/v${version}`, prefix);
+
+                routers.push({
+                    module: moduleName,
+                    id: router.constructor.provides || null,
+                    prefix,
+                    priority: router.priority,
+                    hosts: (Array.isArray(router.hosts) && router.hosts.length) ? router.hosts : null,
+                    version,
+                    deprecated: (version !== null && router.deprecated) || null,
+                    router,
+                });
+            }
+        }
+
+        return routers.sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Route table of the server in the matching order
+     * @param {string} serverName       Server name
+     * @return {object[]}               Array of { method, path, module, id, priority, hosts, version, deprecated,
+     *                                  middleware, descriptor }, descriptor is null for express routers
+     */
+    getRoutes(serverName) {
+        let routes = [];
+        for (let info of this.getRouters(serverName)) {
+            this._walk(this.getExpressRouter(info.router), info.prefix, [], route => {
+                routes.push(Object.assign(
+                    {
+                        module: info.module,
+                        id: info.id,
+                        priority: info.priority,
+                        hosts: info.hosts,
+                        version: info.version,
+                        deprecated: info.deprecated,
+                    },
+                    route
+                ));
+            });
+        }
+        return routes;
+    }
+
+    /**
+     * Express router of the router, the descriptors are compiled on the first call
+     * @param {object} router           The router
+     * @return {function}
+     */
+    getExpressRouter(router) {
+        if (!Array.isArray(router.routes))
+            return router.router;
+
+        let compiled = this._compiled.get(router);
+        if (!compiled) {
+            compiled = express.Router();
+            for (let route of router.routes) {
+                let handlers = [];
+                if (route.auth)
+                    handlers.push(this._getAuthHandler());
+                if (route.params || route.query || route.body)
+                    handlers.push(this._getValidationHandler(route));
+                handlers.push(this._getRouteHandler(route));
+
+                let layerRoute = compiled.route(route.path);
+                layerRoute[(route.method || 'get').toLowerCase()](...handlers);
+                layerRoute.descriptor = route;
+            }
+            this._compiled.set(router, compiled);
+        }
+        return compiled;
+    }
+
+    /**
+     * API versions of the routers, the latest first
+     * @param {string} serverName       Server name
+     * @return {string[]}
+     */
+    getVersions(serverName) {
+        let versions = new Set();
+        for (let info of this.getRouters(serverName)) {
+            if (info.version !== null)
+                versions.add(info.version);
+        }
+        return Array.from(versions).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+    }
+
+    /**
+     * Versioning options of the server
+     * @param {string} serverName       Server name
+     * @return {object}
+     */
+    getVersioning(serverName) {
+        let options = this._config.get(`servers.${serverName}.versioning`) || {};
+        return {
+            by: options.by || 'url',
+            parameter: options.parameter || 'version',
+            header: options.header || 'Api-Version',
+            default: (options.default === undefined || options.default === null)
+                ? null
+                : String(options.default).replace(/^v/i, ''),
+        };
+    }
+
+    /**
+     * Check if the router is listed in servers.<name>.routers
+     * @param {string[]} selected       Module names and router ids
+     * @param {string} moduleName       Module service name
+     * @param {object} router           The router
+     * @return {boolean}
+     */
+    _isSelected(selected, moduleName, router) {
+        return selected.some(item => (
+            item === moduleName ||
+            `modules.${item}` === moduleName ||
+            item === router.constructor.provides
+        ));
+    }
+
+    /**
+     * Middleware resolving requested API version as req.apiVersion
+     * @param {object} versioning       Versioning options
+     * @param {string[]} versions       Versions of the routers
+     * @return {function}
+     */
+    _getVersionHandler(versioning, versions) {
+        let latest = versions.slice().sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))[0];
+        let parameter = new RegExp(`;\\s*${versioning.parameter}\\s*=\\s*"?v?([^;,\\s"]+)`, 'i');
+
+        let resolveVersion = (req, res, next) => {
+            let version;
+            if (versioning.by === 'accept') {
+                res.vary('Accept');
+                let match = parameter.exec(req.get('Accept') || '');
+                version = match && match[1];
+            } else {
+                res.vary(versioning.header);
+                version = req.get(versioning.header);
+                if (version)
+                    version = version.trim().replace(/^v/i, '');
+            }
+
+            if (!version) {
+                req.apiVersion = versioning.default || latest;
+                return next();
+            }
+            if (!versions.includes(version)) {
+                let status = versioning.by === 'accept' ? 406 : 400;
+                return next(new NError({ httpStatus: status }, `Unsupported API version: ${version}`));
+            }
+
+            req.apiVersion = version;
+            next();
+        };
+        return resolveVersion;
+    }
+
+    /**
+     * Wrap the router of an API version, deprecated versions get Deprecation and Sunset headers
+     * @param {object} info             Router info
+     * @param {function} router         Express router
+     * @param {object} versioning       Versioning options
+     * @return {function}
+     */
+    _getVersionedRouter(info, router, versioning) {
+        let headers = {};
+        if (info.deprecated) {
+            let { since, sunset, link } = typeof info.deprecated === 'object' ? info.deprecated : {};
+            headers.Deprecation = since ? `@${Math.floor(new Date(since).getTime() / 1000)}` : 'true';
+            if (sunset)
+                headers.Sunset = new Date(sunset).toUTCString();
+            if (link)
+                headers.Link = `<${link}>; rel="deprecation"`;
+        }
+
+        return (req, res, next) => {
+            if (versioning.by !== 'url' && req.apiVersion !== info.version)
+                return next();
+
+            if (!info.deprecated)
+                return router(req, res, next);
+
+            let served = true;
+            res.once('finish', () => {
+                if (served)
+                    this._logDeprecated(info, req);
+            });
+
+            for (let name of Object.keys(headers))
+                res.set(name, headers[name]);
+            router(req, res, error => {
+                if (!error && !res.headersSent) {
+                    served = false;
+                    for (let name of Object.keys(headers))
+                        res.removeHeader(name);
+                }
+                next(error);
+            });
+        };
+    }
+
+    /**
+     * Log the use of a deprecated version, at most once per interval for every version
+     * @param {object} info             Router info
+     * @param {object} req              Express request
+     */
+    _logDeprecated(info, req) {
+        let key = `${info.module}:${info.version}`;
+        let now = Date.now();
+        let entry = this._deprecationLog.get(key);
+        if (entry && now - entry.time < this.constructor.deprecationLogInterval) {
+            entry.count++;
+            return;
+        }
+
+        this._logger.info(
+            `Deprecated API version ${info.version} of ${info.module} used: ${req.method} ${req.originalUrl}` +
+            (entry && entry.count ? ` (and ${entry.count} more request(s) since the last message)` : '')
+        );
+        this._deprecationLog.set(key, { time: now, count: 0 });
+    }
+
+    /**
+     * Middleware rejecting anonymous requests
+     * @return {function}
+     */
+    _getAuthHandler() {
+        let authenticate = (req, res, next) => {
+            next(req.user ? undefined : new NError({ httpStatus: 401 }, 'Unauthorized'));
+        };
+        return authenticate;
+    }
+
+    /**
+     * Middleware validating request of the route
+     * @param {RouteDescriptor} route   The route
+     * @return {function}
+     */
+    _getValidationHandler(route) {
+        let validators = [ 'params', 'query', 'body' ]
+            .filter(location => route[location])
+            .map(location => [ location, (location === 'body' ? this._bodyAjv : this._inputAjv).compile(route[location]) ]);
+
+        let validate = (req, res, next) => {
+            let errors = [];
+            for (let [ location, validator ] of validators) {
+                if (!validator(req[location] || {}))
+                    errors.push(...validator.errors.map(error => Object.assign({ location }, error)));
+            }
+            if (!errors.length)
+                return next();
+
+            next(new NError({ httpStatus: 400, form: this._getForm(req, errors) }, 'Bad Request'));
+        };
+        return validate;
+    }
+
+    /**
+     * Middleware calling the handler of the route
+     * @param {RouteDescriptor} route   The route
+     * @return {function}
+     */
+    _getRouteHandler(route) {
+        let validator = null;
+        if (route.response && this._config.get('env') === 'development')
+            validator = this._bodyAjv.compile(route.response);
+
+        let handler = async (req, res, next) => {
+            try {
+                let result = await route.handler(req, res);
+                if (result === undefined || res.headersSent)
+                    return;
+
+                if (validator && !validator(result))
+                    throw new NError({ errors: validator.errors }, `Response of ${(route.method || 'get').toUpperCase()} ${route.path} does not match its schema`);
+
+                res.json(result);
+            } catch (error) {
+                next(error);
+            }
+        };
+        Object.defineProperty(handler, 'name', { value: route.handler.name || 'handler' });
+        return handler;
+    }
+
+    /**
+     * Convert validation errors to Form.toJSON() of the form service
+     * @param {object} req              Express request
+     * @param {object[]} errors         Ajv errors with location
+     * @return {object}
+     */
+    _getForm(req, errors) {
+        let form = this._app.get('form');
+        form.locale = req.locale || 'en';
+
+        for (let error of errors) {
+            let name = error.location + error.dataPath;
+            if (!form.fields.has(name))
+                form.addField(name, error.keyword === 'required' ? undefined : error.data);
+
+            let key = error.keyword === 'required' ? 'form_field_required' : 'form_field_invalid';
+            form.addError(name, key, Object.assign({ message: error.message }, error.params));
+        }
+        return form.toJSON();
+    }
+
+    /**
+     * Walk express router stack
+     * @param {function} router         Express router
+     * @param {string} prefix           Mount path of the router
+     * @param {string[]} middleware     Names of the middleware preceding the router
+     * @param {function} cb             Called with { method, path, middleware, descriptor } of every route
+     */
+    _walk(router, prefix, middleware, cb) {
+        middleware = middleware.slice();
+        for (let layer of router.stack || []) {
+            if (layer.route) {
+                let paths = Array.isArray(layer.route.path) ? layer.route.path : [ layer.route.path ];
+                let methods = Object.keys(layer.route.methods)
+                    .map(method => (method === '_all' ? 'ALL' : method.toUpperCase()));
+                for (let method of methods) {
+                    let names = middleware.concat(
+                        layer.route.stack
+                            .filter(item => !item.method || item.method === method.toLowerCase() || method === 'ALL')
+                            .map(item => item.name)
+                    );
+                    for (let path of paths) {
+                        cb({
+                            method,
+                            path: this._joinPaths(prefix, String(path)),
+                            middleware: names,
+                            descriptor: layer.route.descriptor || null,
+                        });
+                    }
+                }
+            } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+                this._walk(layer.handle, this._joinPaths(prefix, this._getMountPath(layer)), middleware, cb);
+            } else {
+                middleware.push(layer.name);
+            }
+        }
+    }
+
+    /**
+     * Restore mount path of router.use() layer from its regexp, parameters are shown as :name
+     * @param {object} layer            Express layer
+     * @return {string}
+     */
+    _getMountPath(layer) {
+        if (layer.regexp.fast_slash)
+            return '/';
+
+        let source = layer.regexp.source.replace(/^\^/, '').replace(/\\\/\?\(\?=\\\/\|\$\)$/, '');
+        let keys = (layer.keys || []).slice();
+        let path = '';
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\\') {
+                path += source[++i];
+                continue;
+            }
+            if (source[i] !== '(') {
+                path += source[i];
+                continue;
+            }
+
+            let depth = 0;
+            let end = i;
+            for (; end < source.length; end++) {
+                if (source[end] === '\\')
+                    end++;
+                else if (source[end] === '(')
+                    depth++;
+                else if (source[end] === ')' && !--depth)
+                    break;
+            }
+
+            let group = source.slice(i, end + 1);
+            let key = keys.shift();
+            if (group.startsWith('(?:\\/'))
+                path += '/:' + (key ? key.name : '');
+            else if (group.startsWith('(?:'))
+                path += ':' + (key ? key.name : '');
+            else
+                path += '*';
+            i = end;
         }
+        return path || '/';
+    }
 
-        routers.sort((a, b) => b.priority - a.priority);
-        for (let router of routers)
-            server.express.use('/', router.router);
+    /**
+     * Join URL paths
+     * @param {string} prefix           Leading path
+     * @param {string} path             Trailing path
+     * @return {string}
+     */
+    _joinPaths(prefix, path) {
+        let result = `${prefix}/${path}`.replace(/\/{2,}/g, '/');
+        return (result.length > 1 && result.endsWith('/')) ? result.slice(0, -1) : result;
     }
 }
 
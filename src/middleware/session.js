@@ -61,8 +61,11 @@ class Session {
                     let decoded = await this._session.decodeJwt(server.name, token, req);
                     session = decoded.session;
                 }
-                if (!session)
+                if (!session) {
                     session = await this._session.create(server.name, null, req);
+                    if (session)
+                        server.emit('session_create', session);
+                }
                 if (session) {
                     Object.assign(req.session, session.payload);
                     res.locals.session = req.session;
@@ -79,7 +82,10 @@ class Session {
                     session.user = req.user;
 
                     try {
-                        if (await this._session.update(server.name, session, req) && bridge.tokenVar) {
+                        let updated = await this._session.update(server.name, session, req);
+                        if (updated)
+                            server.emit('session_update', session);
+                        if (updated && bridge.tokenVar) {
                             let token = await this._session.encodeJwt(server.name, session);
                             res.cookie(bridge.tokenVar, token, {
                                 maxAge: 365 * 24 * 60 * 60 * 1000,
@@ -97,6 +103,26 @@ class Session {
 
             next();
         });
+
+        server.useSocket(async (socket, next) => {
+            socket.session = null;
+            socket.user = null;
+
+            try {
+                // socket.io 2 has no auth payload, the token is a query parameter or the cookie
+                let token = socket.handshake.query.token ||
+                    (bridge.tokenVar && this._parseCookies(socket.request.headers.cookie)[bridge.tokenVar]);
+                if (token) {
+                    let decoded = await this._session.decodeJwt(server.name, token, socket.request);
+                    socket.session = (decoded && decoded.session) || null;
+                    socket.user = (socket.session && socket.session.user) || null;
+                }
+            } catch (error) {
+                this._logger.error(error);
+            }
+
+            next();
+        });
     }
 
     /**
@@ -111,6 +137,27 @@ class Session {
 
         await this._session.removeBridge(server.name);
     }
+
+    /**
+     * Parse cookie header
+     * @param {string} [header]         Cookie header
+     * @return {object}
+     */
+    _parseCookies(header) {
+        let cookies = {};
+        for (let cookie of (header || '').split(';')) {
+            let index = cookie.indexOf('=');
+            if (index === -1)
+                continue;
+
+            try {
+                cookies[cookie.slice(0, index).trim()] = decodeURIComponent(cookie.slice(index + 1).trim());
+            } catch (error) {
+                // do nothing
+            }
+        }
+        return cookies;
+    }
 }
 
 module.exports = Session;
@@ -6,7 +6,7 @@ const path = require('path');
 const express = require('express');
 
 /**
- * Module-provided static files
+ * Module-provided static files, static directories of servers.<name>.hosts are served first
  */
 class StaticFiles {
     /**
@@ -39,6 +39,14 @@ class StaticFiles {
      * @return {Promise}
      */
     async register(server) {
+        let hosts = this._config.get(`servers.${server.name}.hosts`) || {};
+        for (let host of Object.keys(hosts)) {
+            for (let dir of (hosts[host] && hosts[host].static) || []) {
+                let filename = dir[0] === '/' ? dir : path.join(this._config.base_path, dir);
+                server.express.use(server.forHosts([ host ], express.static(filename)));
+            }
+        }
+
         for (let [ moduleName, moduleConfig ] of this._config.modules) {
             for (let dir of moduleConfig.static || []) {
                 let filename = dir[0] === '/'
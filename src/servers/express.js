@@ -2,9 +2,16 @@
  * ExpressJS web server
  * @module express/servers/express
  */
+const cluster = require('cluster');
+const os = require('os');
+const net = require('net');
 const http = require('http');
 const https = require('https');
+const tls = require('tls');
+const http2 = require('http2');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const uuid = require('uuid');
 const EventEmitter = require('events');
@@ -19,6 +26,13 @@ try {
 
 /**
  * Express-based server class
+ * <br><br>
+ * When servers.<name>.workers is set to a number or 'auto' the master process forks the workers which run
+ * the server section and share its port, the master itself does not listen. Connections are not sticky,
+ * so socket.io clients have to use websocket transport only in this mode, and broadcasts reach the sockets of
+ * the other workers only through servers.<name>.socket.adapter ('ipc'). The workers are restarted one by one
+ * on servers.<name>.restart_signal, SIGUSR2 by default. Signals of App.signals terminate the app, so SIGHUP
+ * can only be used when the application excludes it from its signals
  */
 class Express extends EventEmitter {
     /**
@@ -34,15 +48,43 @@ class Express extends EventEmitter {
         this.express = null;
         this.routers = [];
         this.server = null;
+        this.servers = [];
+        this.redirectServer = null;
+        this.hosts = new Set();
         this.listening = false;
+        this.draining = false;
 
         this.sockets = new Map();
         this.socketEvents = new Set();
+        this.namespaceEvents = new Map();
+        this.rooms = new Map();
+        this.socketMiddleware = [];
+        this.rpcHandlers = new Map();
+        this.adapter = null;
+        this.limiter = null;
 
         this._app = app;
         this._config = config;
         this._filer = filer;
         this._logger = logger;
+        this._tag = null;
+        this._origin = uuid.v1();
+        this._listeners = new Map();
+        this._hostApps = new Map();
+        this._connections = new Map();
+        this._secureSockets = new Map();
+        this._savedListeners = new Map();
+        this._sessions = new Set();
+        this._certificatesTime = 0;
+        this._sniContexts = new Map();
+        this._certificatesTimer = null;
+        this._workers = new Map();
+        this._restartDelay = 0;
+        this._restartTimers = new Set();
+        this._restarting = false;
+        this._stopping = false;
+        this._restartSignal = null;
+        this._onRestartSignal = null;
     }
 
     /**
@@ -61,6 +103,22 @@ class Express extends EventEmitter {
         return [ 'app', 'config', 'filer', 'logger' ];
     }
 
+    /**
+     * Socket events emitted by the server itself, they are never re-emitted from the sockets
+     * @type {string[]}
+     */
+    static get serverSocketEvents() {
+        return [ 'connection', 'rate_limited' ];
+    }
+
+    /**
+     * Default RPC call timeout, ms
+     * @type {number}
+     */
+    static get rpcTimeout() {
+        return 30 * 1000;
+    }
+
     /**
      * Initialize the server
      * @param {string} name                     Config section name
@@ -68,12 +126,14 @@ class Express extends EventEmitter {
      */
     async init(name) {
         this.name = name;
+        this._tag = cluster.isWorker ? `${name}#${cluster.worker.id}` : name;
 
-        if (this._config.get(`servers.${name}.enable`) === false)
+        if (!this._isEnabled(name))
             return;
 
-        this._logger.debug('express', `${this.name}: Initializing express`);
+        this._logger.debug('express', `${this._tag}: Initializing express`);
         this.express = express();
+        this.routers = [];
         this.express.set('env', this._config.get('env'));
         let options = this._config.get(`servers.${name}.express`);
         for (let option of Object.keys(options)) {
@@ -91,47 +151,50 @@ class Express extends EventEmitter {
         }
         this.express.set('views', views);
 
-        if (this._config.get(`servers.${name}.ssl.enable`)) {
-            let key = this._config.get(`servers.${name}.ssl.key`);
-            if (key && key[0] !== '/')
-                key = path.join(this._config.base_path, key);
-            let cert = this._config.get(`servers.${name}.ssl.cert`);
-            if (cert && cert[0] !== '/')
-                cert = path.join(this._config.base_path, cert);
-            let ca = this._config.get(`server.${name}.ssl.ca`);
-            if (ca && ca[0] !== '/')
-                ca = path.join(this._config.base_path, ca);
-
-            let promises = [
-                this._filer.lockReadBuffer(key),
-                this._filer.lockReadBuffer(cert),
-            ];
-            if (ca)
-                promises.push(this._filer.lockReadBuffer(ca));
-
-            let [keyVal, certVal, caVal] = await Promise.all(promises);
-            let options = {
-                key: keyVal,
-                cert: certVal,
-            };
-            if (caVal)
-                options.ca = caVal;
+        this.hosts.clear();
+        this._hostApps.clear();
+        let hosts = this._config.get(`servers.${name}.hosts`) || {};
+        for (let host of Object.keys(hosts)) {
+            this.hosts.add(host);
+            if (hosts[host] && Array.isArray(hosts[host].views))
+                this._hostApps.set(host, this._createHostApp(hosts[host].views.map(view => this._resolvePath(view)).concat(views)));
+        }
+        this.express.use(this._getHostHandler());
 
-            this.server = https.createServer(options, this.express);
-        } else {
-            this.server = http.createServer(this.express);
+        let sslOptions = null;
+        if (this._config.get(`servers.${name}.ssl.enable`)) {
+            sslOptions = await this._loadCertificates();
+            sslOptions.SNICallback = this._getSniCallback();
+            this._sniContexts = await this._loadSniContexts();
+            this._certificatesTime = await this._getCertificatesTime();
+        } else if (this._config.get(`servers.${name}.http2.enable`)) {
+            throw new Error(`${this._tag}: HTTP/2 requires SSL to be enabled`);
         }
 
-        this.server.on('error', this.onError.bind(this));
-        this.server.on('listening', this.onListening.bind(this));
+        this._listeners.clear();
+        this.servers = this._getListenConfig().map(listen => {
+            let server = this._createServer(sslOptions);
+            this._listeners.set(server, listen);
+            return server;
+        });
+        this.server = this.servers[0];
+
+        if (this._config.get(`servers.${name}.ssl.enable`) && this._config.get(`servers.${name}.ssl.redirect_port`)) {
+            this.redirectServer = http.createServer(this._createRedirectApp());
+            this._tuneServer(this.redirectServer);
+            this.redirectServer.on('error', this.onError.bind(this));
+            this.redirectServer.on('connection', this.onConnection.bind(this));
+            this.redirectServer.on('request', this.onRequest.bind(this));
+        }
 
         this.listening = false;
+        this.draining = false;
 
         let middlewareConfig = this._config.get(`servers.${name}.middleware`);
         if (!Array.isArray(middlewareConfig))
             return;
 
-        this._logger.debug('express', `${this.name}: Loading middleware`);
+        this._logger.debug('express', `${this._tag}: Loading middleware`);
         let middleware;
         if (this._app.has('express.middleware')) {
             middleware = this._app.get('express.middleware');
@@ -152,7 +215,7 @@ class Express extends EventEmitter {
                     middleware.set(cur, obj);
                 }
 
-                this._logger.debug('express', `${this.name}: Registering middleware ${cur}`);
+                this._logger.debug('express', `${this._tag}: Registering middleware ${cur}`);
                 let result = obj.register(this);
                 if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
                     throw new Error(`Middleware '${cur}' register() did not return a Promise`);
@@ -171,45 +234,79 @@ class Express extends EventEmitter {
         if (name !== this.name)
             throw new Error(`Server ${name} was not properly initialized`);
 
-        if (this._config.get(`servers.${name}.enable`) === false)
+        if (!this._isEnabled(name))
             return;
 
-        this._logger.debug('express', `${this.name}: Starting the server`);
-        let port = this._normalizePort(this._config.get(`servers.${name}.port`));
+        if (cluster.isMaster && this._getWorkersCount()) {
+            if (!this.listening)
+                await this._startWorkers();
+            return;
+        }
+
+        this._logger.debug('express', `${this._tag}: Starting the server`);
         if (this.server && !this.listening) {
-            let listen = this.server.listen(port, typeof port === 'string' ? undefined : this._config.get(`servers.${name}.host`));
-            if (io) {
-                this.io = io.listen(listen);
-                this.io.on('connection', socket => {
-                    let id = uuid.v1();
-                    let info = { socket, handlers: new Map() };
-                    this.sockets.set(id, info);
-
-                    for (let event of this.socketEvents) {
-                        let handler = this._getSocketEventHandler(event, id);
-                        info.socket.on(event, handler);
-                        info.handlers.set(event, handler);
+            try {
+                for (let server of this.servers) {
+                    let listen = this._listeners.get(server);
+                    if (listen.path)
+                        await this._removeStaleSocket(listen.path);
+                    await this._listen(server, listen);
+                }
+
+                if (io) {
+                    this._saveListeners();
+                    this.io = io.listen(this.server);
+                    for (let server of this.servers.slice(1))
+                        this.io.attach(server);
+                    if (this._config.get(`servers.${name}.socket.limits`))
+                        this.limiter = this._app.get('socketLimiter', this);
+                    this._setupNamespace('/', this._config.get(`servers.${name}.socket.auth_required`));
+
+                    let namespaces = this._config.get(`servers.${name}.socket.namespaces`) || {};
+                    if (Array.isArray(namespaces))
+                        namespaces = namespaces.reduce((prev, cur) => Object.assign(prev, { [cur]: {} }), {});
+                    for (let namespace of Object.keys(namespaces))
+                        this._setupNamespace(namespace, namespaces[namespace] && namespaces[namespace].auth_required);
+
+                    let adapter = this._config.get(`servers.${name}.socket.adapter`);
+                    if (adapter) {
+                        let type = typeof adapter === 'string' ? adapter : adapter.type;
+                        this.adapter = this._app.get(`${type}SocketAdapter`);
+                        await this.adapter.init(this, this.onAdapterMessage.bind(this));
                     }
+                }
 
-                    socket.once('disconnect', () => {
-                        this.sockets.delete(id);
-                    });
+                let interval = this._config.get(`servers.${name}.ssl.reload_interval`);
+                if (this._config.get(`servers.${name}.ssl.enable`) && interval)
+                    this._certificatesTimer = setInterval(this.onCertificatesTimer.bind(this), interval * 1000);
 
-                    this.emit(`socket_connection`, id, socket);
-                });
+                if (this.redirectServer) {
+                    let redirectPort = this._normalizePort(this._config.get(`servers.${name}.ssl.redirect_port`));
+                    let redirectHost = this._config.get(`servers.${name}.host`);
+                    let listen = typeof redirectPort === 'string' ? { path: redirectPort } : { host: redirectHost, port: redirectPort };
+                    await this._listen(this.redirectServer, listen);
+                    this._logger.info(`${this._tag}: HTTP redirect server listening on ${this._formatListen(listen)}`);
+                }
+
+                for (let listen of this._listeners.values()) {
+                    if (listen.path)
+                        await this._setSocketPermissions(listen);
+                }
+            } catch (error) {
+                await this._closeBound();
+                throw error;
             }
 
-            return new Promise(resolve => {
-                this.server.once('listening', () => {
-                    this.listening = true;
-                    resolve();
-                });
-            });
+            this.listening = true;
+
+            if (cluster.isWorker && process.env.ARPEN_EXPRESS_SERVER === name)
+                process.send({ server: name, event: 'ready' });
         }
     }
 
     /**
-     * Stop the server
+     * Stop the server. In-flight requests are given servers.<name>.shutdown_timeout seconds to finish,
+     * the remaining connections are destroyed after that
      * @param {string} name                     Config section name
      * @return {Promise}
      */
@@ -217,36 +314,22 @@ class Express extends EventEmitter {
         if (name !== this.name)
             throw new Error(`Server ${name} was not properly initialized`);
 
-        if (this._config.get(`servers.${name}.enable`) === false)
+        if (!this._isEnabled(name))
             return;
 
         if (!this.server || !this.listening)
             return;
 
-        this.sockets.clear();
-        this.io = null;
-        this.server.close();
-        await new Promise(resolve => {
-            this.server.once('close', () => {
-                this.server = null;
-                this.listening = false;
-
-                let port = this._normalizePort(this._config.get(`servers.${this.name}.port`));
-                this._logger.info(
-                    this.name + ': Server is no longer listening on ' +
-                    (typeof port === 'string'
-                        ? port
-                        : this._config.get(`servers.${this.name}.host`) + ':' + port)
-                );
-                resolve();
-            });
-        });
+        if (cluster.isMaster && this._getWorkersCount())
+            await this._stopWorkers();
+        else
+            await this._drain();
 
         let middlewareConfig = this._config.get(`servers.${name}.middleware`);
         if (!Array.isArray(middlewareConfig) || !this._app.has('express.middleware'))
             return;
 
-        this._logger.debug('express', `${this.name}: Unloading middleware`);
+        this._logger.debug('express', `${this._tag}: Unloading middleware`);
         let middleware = this._app.get('express.middleware');
         return middlewareConfig.reduce(
             async (prev, cur) => {
@@ -259,7 +342,7 @@ class Express extends EventEmitter {
                 if (typeof obj.unregister !== 'function')
                     return;
 
-                this._logger.debug('express', `${this.name}: Unregistering middleware ${cur}`);
+                this._logger.debug('express', `${this._tag}: Unregistering middleware ${cur}`);
                 let result = obj.unregister(this);
                 if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
                     throw new Error(`Middleware '${cur}' unregister() did not return a Promise`);
@@ -269,6 +352,295 @@ class Express extends EventEmitter {
         );
     }
 
+    /**
+     * Address of the first listener as returned by net.Server.address()
+     * @return {object|string|null}             Returns null when not listening
+     */
+    address() {
+        return this.server ? this.server.address() : null;
+    }
+
+    /**
+     * Find the host pattern matching the hostname. The patterns are exact hostnames or wildcards
+     * like "*.example.com" matching a single label, exact match wins
+     * @param {string} hostname                 The hostname
+     * @param {Iterable} [patterns]             Host patterns, all known hosts by default
+     * @return {string|null}
+     */
+    matchHost(hostname, patterns = this.hosts) {
+        if (!hostname)
+            return null;
+
+        hostname = hostname.toLowerCase();
+        let wildcard = hostname.includes('.') ? '*' + hostname.slice(hostname.indexOf('.')) : null;
+        let result = null;
+        for (let pattern of patterns) {
+            let lower = pattern.toLowerCase();
+            if (lower === hostname)
+                return pattern;
+            if (lower === wildcard)
+                result = pattern;
+        }
+        return result;
+    }
+
+    /**
+     * Wrap a handler so that it only serves the requests to the given virtual hosts
+     * @param {string[]} hosts                  Host patterns
+     * @param {function} handler                Express middleware or router
+     * @return {function}
+     */
+    forHosts(hosts, handler) {
+        for (let host of hosts)
+            this.hosts.add(host);
+
+        return (req, res, next) => {
+            if (!req.vhost || !this.matchHost(req.vhost, hosts))
+                return next();
+
+            handler(req, res, next);
+        };
+    }
+
+    /**
+     * Reload SSL key, certificate and CA from disk. Existing connections keep the old ones
+     * @return {Promise}
+     */
+    async reloadCertificates() {
+        if (!this.server || typeof this.server.setSecureContext !== 'function')
+            throw new Error(`${this._tag}: SSL is not enabled`);
+
+        let options = await this._loadCertificates();
+        let sniContexts = await this._loadSniContexts();
+        this._certificatesTime = await this._getCertificatesTime();
+        for (let server of this.servers)
+            server.setSecureContext(options);
+        this._sniContexts = sniContexts;
+
+        let expires = this._getCertificateExpiration(options.cert);
+        this._logger.info(
+            `${this._tag}: SSL certificates reloaded` +
+            (expires ? `, valid until ${expires.toISOString()}` : '')
+        );
+        this.emit('certificates_reload', expires);
+    }
+
+    /**
+     * Rolling restart of the workers in cluster mode: every worker is replaced with a new one, the old
+     * worker is stopped when its replacement is ready
+     * @return {Promise}
+     */
+    async restartWorkers() {
+        if (this._restarting || this._stopping || !this._workers.size)
+            return;
+
+        this._logger.info(`${this._tag}: Restarting the workers`);
+        this._restarting = true;
+        try {
+            for (let info of Array.from(this._workers.values())) {
+                if (this._stopping)
+                    break;
+
+                let worker = await this._forkWorker();
+                if (worker.isDead())
+                    throw new Error(`Worker #${worker.id} failed to start, restart aborted`);
+
+                await this._stopWorker(info);
+            }
+        } finally {
+            this._restarting = false;
+        }
+    }
+
+    /**
+     * Add socket.io handshake middleware. The handler may set socket.session and socket.user which are
+     * then stored in the socket info
+     * @param {function} handler        Handler as in io.use()
+     */
+    useSocket(handler) {
+        this.socketMiddleware.push(handler);
+    }
+
+    /**
+     * Send event to a socket
+     * @param {string} id               Socket ID
+     * @param {string} event            Event name
+     * @param {...*} args               Event arguments
+     * @return {boolean}                Returns false if there is no such socket
+     */
+    send(id, event, ...args) {
+        let info = this.sockets.get(id);
+        if (!info)
+            return false;
+
+        info.socket.emit(event, ...args);
+        return true;
+    }
+
+    /**
+     * Send event to all the sockets of the default namespace
+     * @param {string} event            Event name
+     * @param {...*} args               Event arguments
+     */
+    broadcast(event, ...args) {
+        this.broadcastNamespace('/', event, ...args);
+    }
+
+    /**
+     * Send event to all the sockets of a namespace
+     * @param {string} namespace        Namespace
+     * @param {string} event            Event name
+     * @param {...*} args               Event arguments
+     */
+    broadcastNamespace(namespace, event, ...args) {
+        this._dispatch({ type: 'namespace', namespace, event, args });
+    }
+
+    /**
+     * Add socket to a room
+     * @param {string} id               Socket ID
+     * @param {string} room             Room name
+     * @return {boolean}                Returns false if there is no such socket
+     */
+    join(id, room) {
+        let info = this.sockets.get(id);
+        if (!info)
+            return false;
+
+        let ids = this.rooms.get(room);
+        if (!ids) {
+            ids = new Set();
+            this.rooms.set(room, ids);
+        }
+        ids.add(id);
+        info.rooms.add(room);
+        return true;
+    }
+
+    /**
+     * Remove socket from a room
+     * @param {string} id               Socket ID
+     * @param {string} room             Room name
+     */
+    leave(id, room) {
+        let info = this.sockets.get(id);
+        if (info)
+            info.rooms.delete(room);
+
+        let ids = this.rooms.get(room);
+        if (!ids)
+            return;
+
+        ids.delete(id);
+        if (!ids.size)
+            this.rooms.delete(room);
+    }
+
+    /**
+     * Send event to all the sockets in a room
+     * @param {string} room             Room name
+     * @param {string} event            Event name
+     * @param {...*} args               Event arguments
+     */
+    toRoom(room, event, ...args) {
+        this._dispatch({ type: 'room', room, event, args });
+    }
+
+    /**
+     * Set user of a socket
+     * @param {string} id               Socket ID
+     * @param {object|null} user        User model
+     * @return {boolean}                Returns false if there is no such socket
+     */
+    setUser(id, user) {
+        let info = this.sockets.get(id);
+        if (!info)
+            return false;
+
+        info.user = user;
+        return true;
+    }
+
+    /**
+     * Find sockets of a user
+     * @param {*} userId                User ID
+     * @return {string[]}               Socket IDs
+     */
+    socketsOfUser(userId) {
+        let result = [];
+        for (let [ id, info ] of this.sockets) {
+            if (info.user && info.user.id === userId)
+                result.push(id);
+        }
+        return result;
+    }
+
+    /**
+     * Handle RPC calls. The socket emits the event with payload and ack callback, the callback receives
+     * { success: true, result } or { success: false, error: { status, message, info } }
+     * @param {string} name                 RPC name (socket event name)
+     * @param {function} handler            Async handler (id, payload, ctx) resolving to the result,
+     *                                      ctx is { socket, session, user }
+     * @param {object} [options]            RPC options
+     * @param {number} [options.timeout]    Call timeout in ms
+     * @param {function} [options.validate] Returns false or error message when payload is invalid
+     * @param {string} [options.namespace]  Namespace, default is '/'
+     */
+    handle(name, handler, options = {}) {
+        let { timeout = this.constructor.rpcTimeout, validate = null, namespace = '/' } = options;
+
+        let handlers = this.rpcHandlers.get(namespace);
+        if (!handlers) {
+            handlers = new Map();
+            this.rpcHandlers.set(namespace, handlers);
+        }
+        if (handlers.has(name))
+            throw new Error(`RPC ${name} is already handled`);
+
+        handlers.set(name, { handler, timeout, validate });
+        for (let [ id, info ] of this.sockets) {
+            if (info.namespace === namespace)
+                this._installRpc(name, id, info);
+        }
+    }
+
+    /**
+     * Stop handling RPC calls
+     * @param {string} name                 RPC name
+     * @param {string} [namespace='/']      Namespace
+     */
+    unhandle(name, namespace = '/') {
+        let handlers = this.rpcHandlers.get(namespace);
+        if (handlers)
+            handlers.delete(name);
+
+        for (let info of this.sockets.values()) {
+            if (info.namespace !== namespace)
+                continue;
+
+            let listener = info.rpc.get(name);
+            if (!listener)
+                continue;
+
+            info.socket.removeListener(name, listener);
+            info.rpc.delete(name);
+        }
+    }
+
+    /**
+     * Check if the event is re-emitted or handled as RPC, i.e. is not an arbitrary name sent by a client
+     * @param {string} event                Socket event name
+     * @param {string} [namespace='/']      Namespace
+     * @return {boolean}
+     */
+    isSocketEvent(event, namespace = '/') {
+        if (this._getSocketEvents(namespace).has(event))
+            return true;
+
+        let handlers = this.rpcHandlers.get(namespace);
+        return !!handlers && handlers.has(event);
+    }
+
     /**
      * Install event handler at the end of the list
      * @param {string} event            Event name
@@ -276,7 +648,7 @@ class Express extends EventEmitter {
      */
     on(event, handler) {
         super.on(event, handler);
-        if (event.startsWith('socket_'))
+        if (this._parseSocketEvent(event))
             this._installSocketEvent(event);
     }
 
@@ -287,7 +659,7 @@ class Express extends EventEmitter {
      */
     prependListener(event, handler) {
         super.prependListener(event, handler);
-        if (event.startsWith('socket_'))
+        if (this._parseSocketEvent(event))
             this._installSocketEvent(event);
     }
 
@@ -298,7 +670,7 @@ class Express extends EventEmitter {
      */
     removeListener(event, handler) {
         super.removeListener(event, handler);
-        if (event.startsWith('socket_') && !this.listenerCount(event))
+        if (this._parseSocketEvent(event) && !this.listenerCount(event))
             this._removeSocketEvent(event);
     }
 
@@ -308,7 +680,7 @@ class Express extends EventEmitter {
      */
     removeAllListeners(event) {
         super.removeAllListeners(event);
-        if (event.startsWith('socket_'))
+        if (this._parseSocketEvent(event))
             this._removeSocketEvent(event);
     }
 
@@ -318,37 +690,184 @@ class Express extends EventEmitter {
      * @return {Promise}
      */
     async onError(error) {
+        // binding errors are handled by start()
         if (error.syscall !== 'listen')
             return this._logger.error(new NError(error, 'Express.onError()'));
-
-        let msg;
-        switch (error.code) {
-            case 'EACCES':
-                msg = `${this.name}: Could not bind to web server port`;
-                break;
-            case 'EADDRINUSE':
-                msg = `${this.name}: Web server port is already in use`;
-                break;
-            default:
-                msg = error;
-        }
-        return this._app.exit(this._app.constructor.fatalExitCode, msg);
     }
 
     /**
      * Listening event handler
+     * @param {object} server           The listener
      * @return {Promise}
      */
-    async onListening() {
-        let port = this._normalizePort(this._config.get(`servers.${this.name}.port`));
+    async onListening(server) {
+        let listen = this._listeners.get(server);
+        if (!listen)
+            return;
+
         this._logger.info(
-            this.name + ': ' +
-            (this._config.get(`servers.${this.name}.ssl.enable`) ? 'HTTPS' : 'HTTP') +
-            ' server listening on ' +
-            (typeof port === 'string'
-                ? port
-                : this._config.get(`servers.${this.name}.host`) + ':' + port)
+            this._tag + ': ' +
+            (this._config.get(`servers.${this.name}.ssl.enable`)
+                ? (this._config.get(`servers.${this.name}.http2.enable`) ? 'HTTP/2' : 'HTTPS')
+                : 'HTTP') +
+            ' server listening on ' + this._formatAddress(server)
+        );
+    }
+
+    /**
+     * Socket adapter message handler
+     * @param {object} message          Message published by another process
+     */
+    onAdapterMessage(message) {
+        if (message && message.origin !== this._origin)
+            this._deliver(message);
+    }
+
+    /**
+     * Worker exit handler, crashed workers are restarted with increasing delay
+     * @param {object} worker           The worker
+     * @param {number} code             Exit code
+     * @param {string} signal           Signal name
+     */
+    onWorkerExit(worker, code, signal) {
+        let info = this._workers.get(worker.id);
+        if (!info)
+            return;
+
+        this._workers.delete(worker.id);
+        if (info.retiring || this._stopping)
+            return;
+
+        if (Date.now() - info.started > 60 * 1000)
+            this._restartDelay = 0;
+        this._restartDelay = Math.min(this._restartDelay ? this._restartDelay * 2 : 1000, 60 * 1000);
+
+        this._logger.error(
+            `${this._tag}: Worker #${worker.id} exited with ${signal || code}, ` +
+            `restarting in ${this._restartDelay / 1000} second(s)`
+        );
+        let timer = setTimeout(
+            () => {
+                this._restartTimers.delete(timer);
+                this._forkWorker();
+            },
+            this._restartDelay
         );
+        this._restartTimers.add(timer);
+    }
+
+    /**
+     * Socket.io connection event handler
+     * @param {string} namespace        Namespace
+     * @param {object} socket           The socket
+     */
+    onSocketConnection(namespace, socket) {
+        let id = uuid.v1();
+        let info = {
+            socket,
+            namespace,
+            ip: socket.handshake.address,
+            handlers: new Map(),
+            rooms: new Set(),
+            rpc: new Map(),
+            session: socket.session || null,
+            user: socket.user || null,
+        };
+        this.sockets.set(id, info);
+        if (this.limiter)
+            this.limiter.attach(id, info);
+
+        for (let event of this._getSocketEvents(namespace)) {
+            let handler = this._getSocketEventHandler(namespace, event, id);
+            info.socket.on(event, handler);
+            info.handlers.set(event, handler);
+        }
+        for (let rpc of (this.rpcHandlers.get(namespace) || new Map()).keys())
+            this._installRpc(rpc, id, info);
+
+        socket.once('disconnect', () => {
+            for (let room of info.rooms)
+                this.leave(id, room);
+            if (this.limiter)
+                this.limiter.detach(id, info);
+            this.sockets.delete(id);
+        });
+
+        this.emit(this._getSocketEventName(namespace, 'connection'), id, socket, info.session, info.user);
+    }
+
+    /**
+     * Connection event handler
+     * @param {object} connection       The socket
+     */
+    onConnection(connection) {
+        this._connections.set(connection, new Set());
+        connection.once('close', () => {
+            this._connections.delete(connection);
+            this._secureSockets.delete(connection);
+        });
+    }
+
+    /**
+     * Secure connection event handler. The connection is tracked by its TCP socket since the 'connection'
+     * event, so that the clients which never finish TLS handshake are closed on shutdown too
+     * @param {object} socket           The TLS socket
+     */
+    onSecureConnection(socket) {
+        if (socket._parent && this._connections.has(socket._parent))
+            this._secureSockets.set(socket._parent, socket);
+    }
+
+    /**
+     * HTTP/2 session event handler
+     * @param {object} session          The session
+     */
+    onSession(session) {
+        this._sessions.add(session);
+        session.once('close', () => {
+            this._sessions.delete(session);
+        });
+    }
+
+    /**
+     * Request event handler
+     * @param {object} req              The request
+     * @param {object} res              The response
+     */
+    onRequest(req, res) {
+        if (req.httpVersionMajor >= 2)
+            return;
+
+        let responses = this._connections.get(req.socket._parent || req.socket);
+        if (!responses)
+            return;
+
+        responses.add(res);
+        if (this.draining)
+            res.setHeader('Connection', 'close');
+
+        let done = () => {
+            if (!responses.delete(res))
+                return;
+
+            if (this.draining && !responses.size)
+                req.socket.end();
+        };
+        res.once('finish', done);
+        res.once('close', done);
+    }
+
+    /**
+     * Certificates check timer handler
+     * @return {Promise}
+     */
+    async onCertificatesTimer() {
+        try {
+            if (await this._getCertificatesTime() > this._certificatesTime)
+                await this.reloadCertificates();
+        } catch (error) {
+            this._logger.error(new NError(error, 'Express.onCertificatesTimer()'));
+        }
     }
 
     /**
@@ -366,42 +885,1045 @@ class Express extends EventEmitter {
     }
 
     /**
-     * Web socket event handler
-     * @param {string} event                Event name
-     * @param {string} id                   Socket ID
+     * Close the listeners bound by a failed start()
+     * @return {Promise}
      */
-    _getSocketEventHandler(event, id) {
-        return (...args) => {
-            args.unshift(id);
-            this.emit(`socket_${event}`, ...args);
-        };
+    async _closeBound() {
+        if (this._certificatesTimer) {
+            clearInterval(this._certificatesTimer);
+            this._certificatesTimer = null;
+        }
+        if (this.io) {
+            this.io.close();
+            this.io = null;
+            this._restoreListeners();
+        }
+        this.limiter = null;
+
+        if (this.adapter) {
+            try {
+                await this.adapter.done();
+            } catch (error) {
+                this._logger.error(new NError(error, 'Express._closeBound()'));
+            }
+            this.adapter = null;
+        }
+
+        let servers = this.servers.concat(this.redirectServer ? [ this.redirectServer ] : []);
+        await Promise.all(servers.filter(server => server.listening).map(server => new Promise(resolve => {
+            server.close(() => resolve());
+        })));
     }
 
     /**
-     * Install re-emitting event handlers for socket event
-     * @param {string} event                Event name starting with "socket_"
+     * Remember the listeners of the servers before socket.io wraps them
      */
-    _installSocketEvent(event) {
-        let socketEvent = event.split('_').slice(1).join('_');
-        this.socketEvents.add(socketEvent);
-        for (let [id, info] of this.sockets) {
-            if (info.socket.listenerCount(socketEvent))
-                continue;
+    _saveListeners() {
+        this._savedListeners = new Map();
+        for (let server of this.servers) {
+            let listeners = {};
+            for (let event of [ 'request', 'upgrade', 'listening', 'close' ])
+                listeners[event] = server.listeners(event);
+            this._savedListeners.set(server, listeners);
+        }
+    }
 
-            let handler = this._getSocketEventHandler(socketEvent, id);
-            info.socket.on(socketEvent, handler);
-            info.handlers.set(socketEvent, handler);
+    /**
+     * Detach socket.io from the servers, so that start() can be retried
+     */
+    _restoreListeners() {
+        for (let [ server, listeners ] of this._savedListeners) {
+            for (let event of Object.keys(listeners)) {
+                server.removeAllListeners(event);
+                for (let listener of listeners[event])
+                    server.on(event, listener);
+            }
         }
+        this._savedListeners.clear();
     }
 
     /**
-     * Remove re-emitting event handlers for socket event
-     * @param {string} event                Event name starting with "socket_"
+     * Stop accepting connections and wait for in-flight requests
+     * @return {Promise}
      */
-    _removeSocketEvent(event) {
-        let socketEvent = event.split('_').slice(1).join('_');
-        this.socketEvents.delete(socketEvent);
+    async _drain() {
+        if (this._certificatesTimer) {
+            clearInterval(this._certificatesTimer);
+            this._certificatesTimer = null;
+        }
+
+        this._logger.debug('express', `${this._tag}: Draining connections`);
+        this.draining = true;
+        this.emit('draining');
+
+        let addresses = this.servers.map(server => this._formatAddress(server));
+        let closed = this.servers.map(server => new Promise(resolve => server.once('close', resolve)));
+        for (let server of this.servers)
+            server.close();
+        if (this.redirectServer) {
+            closed.push(new Promise(resolve => this.redirectServer.once('close', resolve)));
+            this.redirectServer.close();
+        }
+
+        for (let session of this._sessions)
+            session.close();
+
         for (let info of this.sockets.values()) {
+            info.socket.emit('shutdown', 'Server is shutting down');
+            info.socket.disconnect(true);
+        }
+
+        if (this.adapter) {
+            try {
+                await this.adapter.done();
+            } catch (error) {
+                this._logger.error(new NError(error, 'Express._drain()'));
+            }
+            this.adapter = null;
+        }
+
+        for (let [ connection, responses ] of this._connections) {
+            let socket = this._secureSockets.get(connection);
+            if (socket && socket.alpnProtocol === 'h2')
+                continue;
+
+            if (!responses.size) {
+                (socket || connection).end();
+                continue;
+            }
+
+            for (let res of responses) {
+                if (!res.headersSent)
+                    res.setHeader('Connection', 'close');
+            }
+        }
+
+        let timeout = this._getShutdownTimeout();
+        let timer = setTimeout(
+            () => {
+                if (!this._connections.size)
+                    return;
+
+                this._logger.info(`${this._tag}: Shutdown timeout, closing ${this._connections.size} connection(s)`);
+                for (let connection of this._connections.keys())
+                    connection.destroy();
+            },
+            timeout * 1000
+        );
+        await Promise.all(closed);
+        clearTimeout(timer);
+
+        this.sockets.clear();
+        this.rooms.clear();
+        this.io = null;
+        this.limiter = null;
+        this.server = null;
+        this.servers = [];
+        this.redirectServer = null;
+        this.listening = false;
+        this.draining = false;
+
+        for (let address of addresses)
+            this._logger.info(`${this._tag}: Server is no longer listening on ${address}`);
+        this.emit('drained');
+    }
+
+    /**
+     * Fork the workers of cluster mode
+     * @return {Promise}
+     */
+    async _startWorkers() {
+        let count = this._getWorkersCount();
+        this._logger.info(`${this._tag}: Starting ${count} worker(s)`);
+
+        this._stopping = false;
+        let signal = this._config.get(`servers.${this.name}.restart_signal`) || 'SIGUSR2';
+        if (this._app.constructor.signals.includes(signal)) {
+            this._logger.info(`${this._tag}: ${signal} terminates the app, rolling restarts of workers are disabled`);
+        } else {
+            this._restartSignal = signal;
+            this._onRestartSignal = () => {
+                this.restartWorkers()
+                    .catch(error => {
+                        this._logger.error(new NError(error, 'Express.restartWorkers()'));
+                    });
+            };
+            process.on(signal, this._onRestartSignal);
+        }
+
+        let workers = [];
+        for (let i = 0; i < count; i++)
+            workers.push(this._forkWorker());
+        await Promise.all(workers);
+
+        this.listening = true;
+    }
+
+    /**
+     * Stop the workers of cluster mode
+     * @return {Promise}
+     */
+    async _stopWorkers() {
+        this._logger.debug('express', `${this._tag}: Stopping the workers`);
+        this._stopping = true;
+        this.draining = true;
+        this.emit('draining');
+
+        for (let timer of this._restartTimers)
+            clearTimeout(timer);
+        this._restartTimers.clear();
+
+        if (this._onRestartSignal) {
+            process.removeListener(this._restartSignal, this._onRestartSignal);
+            this._onRestartSignal = null;
+        }
+
+        await Promise.all(Array.from(this._workers.values()).map(info => this._stopWorker(info)));
+
+        this.server = null;
+        this.servers = [];
+        this.redirectServer = null;
+        this.listening = false;
+        this.draining = false;
+        this._logger.info(`${this._tag}: All workers have been stopped`);
+        this.emit('drained');
+    }
+
+    /**
+     * Fork a worker
+     * @return {Promise}                    Resolves to the worker when it is ready or dead
+     */
+    _forkWorker() {
+        let worker = cluster.fork({ ARPEN_EXPRESS_SERVER: this.name });
+        let info = { worker, started: Date.now(), retiring: false };
+        this._workers.set(worker.id, info);
+        this._logger.debug('express', `${this._tag}: Forked worker #${worker.id}`);
+
+        worker.once('exit', (code, signal) => this.onWorkerExit(worker, code, signal));
+
+        worker.on('message', message => {
+            if (!message || message.server !== this.name || message.event !== 'socket_adapter')
+                return;
+
+            for (let other of this._workers.values()) {
+                if (other.worker !== worker && !other.worker.isDead())
+                    other.worker.send(message);
+            }
+        });
+
+        return new Promise(resolve => {
+            let onMessage = message => {
+                if (!message || message.server !== this.name || message.event !== 'ready')
+                    return;
+
+                worker.removeListener('message', onMessage);
+                resolve(worker);
+            };
+            worker.on('message', onMessage);
+            worker.once('exit', () => resolve(worker));
+        });
+    }
+
+    /**
+     * Gracefully stop a worker, it is killed if still running after the shutdown timeout
+     * @param {object} info                 Worker info
+     * @return {Promise}
+     */
+    async _stopWorker(info) {
+        info.retiring = true;
+        if (info.worker.isDead())
+            return;
+
+        let exited = new Promise(resolve => info.worker.once('exit', resolve));
+        info.worker.process.kill('SIGTERM');
+
+        // the worker drains for shutdown timeout itself
+        let timer = setTimeout(
+            () => {
+                this._logger.info(`${this._tag}: Killing worker #${info.worker.id}`);
+                info.worker.process.kill('SIGKILL');
+            },
+            (this._getShutdownTimeout() + 10) * 1000
+        );
+        await exited;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Number of worker processes in cluster mode
+     * @return {number}                     Zero when cluster mode is disabled
+     */
+    _getWorkersCount() {
+        let workers = this._config.get(`servers.${this.name}.workers`);
+        if (workers === 'auto')
+            return os.cpus().length;
+
+        workers = parseInt(workers, 10);
+        return (isNaN(workers) || workers < 1) ? 0 : workers;
+    }
+
+    /**
+     * Check if server is enabled in this process. In a worker of cluster mode only its own server section is enabled
+     * @param {string} name                 Config section name
+     * @return {boolean}
+     */
+    _isEnabled(name) {
+        if (this._config.get(`servers.${name}.enable`) === false)
+            return false;
+
+        return !cluster.isWorker || !process.env.ARPEN_EXPRESS_SERVER || process.env.ARPEN_EXPRESS_SERVER === name;
+    }
+
+    /**
+     * Shutdown timeout
+     * @return {number}                     Timeout in seconds
+     */
+    _getShutdownTimeout() {
+        let timeout = this._config.get(`servers.${this.name}.shutdown_timeout`);
+        return typeof timeout === 'number' ? timeout : 30;
+    }
+
+    /**
+     * Listeners of the server: servers.<name>.listen array of { host, port } and { path, mode, owner } or
+     * the single servers.<name>.port and host
+     * @return {object[]}
+     */
+    _getListenConfig() {
+        let listen = this._config.get(`servers.${this.name}.listen`);
+        if (Array.isArray(listen) && listen.length)
+            return listen.map(item => (item.path ? Object.assign({}, item, { path: this._resolvePath(item.path) }) : item));
+
+        let port = this._normalizePort(this._config.get(`servers.${this.name}.port`));
+        if (typeof port === 'string')
+            return [ { path: port } ];
+
+        return [ { host: this._config.get(`servers.${this.name}.host`), port } ];
+    }
+
+    /**
+     * Listener address for the log
+     * @param {object} listen               The listener config
+     * @return {string}
+     */
+    _formatListen(listen) {
+        if (listen.path)
+            return listen.path;
+
+        return (listen.host && listen.host.includes(':') ? `[${listen.host}]` : listen.host) + ':' + listen.port;
+    }
+
+    /**
+     * Actual address of a listener for the log, the port can differ from the config
+     * @param {object} server               The listener
+     * @return {string}
+     */
+    _formatAddress(server) {
+        let listen = this._listeners.get(server);
+        let address = server.address();
+        if (listen.path || !address)
+            return this._formatListen(listen);
+
+        return this._formatListen(Object.assign({}, listen, { port: address.port }));
+    }
+
+    /**
+     * Create HTTP server of a listener
+     * @param {object|null} options         SSL options, plain HTTP if null
+     * @return {object}
+     */
+    _createServer(options) {
+        let server;
+        if (options && this._config.get(`servers.${this.name}.http2.enable`)) {
+            server = http2.createSecureServer(Object.assign({ allowHTTP1: true }, options), this._getHttp2Handler());
+            server.on('session', this.onSession.bind(this));
+        } else if (options) {
+            server = https.createServer(options, this.express);
+        } else {
+            server = http.createServer(this.express);
+        }
+
+        server.on('error', this.onError.bind(this));
+        server.on('listening', this.onListening.bind(this, server));
+        server.on('connection', this.onConnection.bind(this));
+        if (options)
+            server.on('secureConnection', this.onSecureConnection.bind(this));
+        server.on('request', this.onRequest.bind(this));
+        this._tuneServer(server);
+        return server;
+    }
+
+    /**
+     * Bind the listener. Failed binding is retried servers.<name>.listen_retries times waiting
+     * servers.<name>.listen_backoff seconds (doubled every attempt), then a busy port is replaced with
+     * an ephemeral one if servers.<name>.listen_fallback is set
+     * @param {object} server               The listener
+     * @param {object} listen               The listener config
+     * @return {Promise}
+     */
+    async _listen(server, listen) {
+        let retries = this._config.get(`servers.${this.name}.listen_retries`) || 0;
+        let backoff = this._config.get(`servers.${this.name}.listen_backoff`);
+        let delay = (typeof backoff === 'number' ? backoff : 1) * 1000;
+
+        let lastError;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._bind(server, listen);
+            } catch (error) {
+                if (error.code !== 'EADDRINUSE' && error.code !== 'EACCES')
+                    throw new NError(error, `${this._tag}: Could not listen on ${this._formatListen(listen)}`);
+
+                lastError = error;
+                if (attempt >= retries)
+                    break;
+
+                this._logger.info(
+                    `${this._tag}: Could not bind to ${this._formatListen(listen)} (${error.code}), ` +
+                    `retrying in ${delay / 1000} second(s)`
+                );
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2;
+            }
+        }
+
+        if (listen.path || lastError.code !== 'EADDRINUSE' || !this._config.get(`servers.${this.name}.listen_fallback`))
+            throw new NError(lastError, `${this._tag}: Could not bind to ${this._formatListen(listen)}`);
+
+        await this._bind(server, Object.assign({}, listen, { port: 0 }));
+        let address = server.address();
+        this._logger.info(`${this._tag}: Port ${listen.port} is not available, listening on ${address.port} instead`);
+        this.emit('listen_fallback', listen, address);
+    }
+
+    /**
+     * Start listening
+     * @param {object} server               The listener
+     * @param {object} listen               The listener config
+     * @return {Promise}
+     */
+    _bind(server, listen) {
+        return new Promise((resolve, reject) => {
+            let onError = error => {
+                server.removeListener('listening', onListening);
+                reject(error);
+            };
+            let onListening = () => {
+                server.removeListener('error', onError);
+                resolve();
+            };
+            server.once('error', onError);
+            server.once('listening', onListening);
+
+            if (listen.path)
+                server.listen(listen.path);
+            else
+                server.listen(this._normalizePort(listen.port), listen.host);
+        });
+    }
+
+    /**
+     * Remove unix socket file left by a dead process, the socket which accepts connections is kept
+     * @param {string} filename             Socket path
+     * @return {Promise}
+     */
+    async _removeStaleSocket(filename) {
+        let stats;
+        try {
+            stats = await this._callFs('stat', filename);
+        } catch (error) {
+            return;
+        }
+        if (!stats.isSocket())
+            return;
+
+        let alive = await new Promise(resolve => {
+            let client = net.connect(filename);
+            client.once('connect', () => {
+                client.destroy();
+                resolve(true);
+            });
+            client.once('error', () => resolve(false));
+        });
+        if (alive)
+            return;
+
+        this._logger.debug('express', `${this._tag}: Removing stale socket ${filename}`);
+        await this._callFs('unlink', filename);
+    }
+
+    /**
+     * Set mode and owner of unix socket file. The owner is "user:group", names are looked up in /etc/passwd
+     * and /etc/group only, users and groups of NSS sources like LDAP have to be given as numeric IDs
+     * @param {object} listen               The listener config
+     * @return {Promise}
+     */
+    async _setSocketPermissions(listen) {
+        try {
+            if (listen.mode !== undefined)
+                await this._callFs('chmod', listen.path, typeof listen.mode === 'string' ? parseInt(listen.mode, 8) : listen.mode);
+
+            if (listen.owner !== undefined) {
+                let [ user, group ] = String(listen.owner).split(':');
+                let uid = user ? await this._getSystemId('/etc/passwd', user) : -1;
+                let gid = group ? await this._getSystemId('/etc/group', group) : -1;
+                await this._callFs('chown', listen.path, uid, gid);
+            }
+        } catch (error) {
+            throw new NError(error, `${this._tag}: Could not set permissions of ${listen.path}`);
+        }
+    }
+
+    /**
+     * Numeric ID of a user or group
+     * @param {string} filename             /etc/passwd or /etc/group
+     * @param {string} name                 Name or ID
+     * @return {Promise}                    Resolves to the ID
+     */
+    async _getSystemId(filename, name) {
+        if (/^\d+$/.test(name))
+            return parseInt(name, 10);
+
+        let contents = await this._callFs('readFile', filename, 'utf8');
+        for (let line of contents.split('\n')) {
+            let fields = line.split(':');
+            if (fields[0] === name)
+                return parseInt(fields[2], 10);
+        }
+        throw new Error(`Unknown user or group: ${name} (not found in ${filename}, use numeric ID)`);
+    }
+
+    /**
+     * Call fs function with callback
+     * @param {string} method               Function name
+     * @param {...*} args                   Arguments
+     * @return {Promise}                    Resolves to the result
+     */
+    _callFs(method, ...args) {
+        return new Promise((resolve, reject) => {
+            fs[method](...args, (error, result) => {
+                if (error)
+                    return reject(error);
+
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Apply servers.<name>.timeouts (seconds: socket, keep_alive, headers and request), max_connections
+     * and max_headers to the server, Node defaults are kept for the missing options
+     * @param {object} server               HTTP server
+     */
+    _tuneServer(server) {
+        let timeouts = this._config.get(`servers.${this.name}.timeouts`) || {};
+        if (typeof timeouts.socket === 'number')
+            server.setTimeout(timeouts.socket * 1000);
+        if (typeof timeouts.keep_alive === 'number')
+            server.keepAliveTimeout = timeouts.keep_alive * 1000;
+        if (typeof timeouts.headers === 'number')
+            server.headersTimeout = timeouts.headers * 1000;
+        if (typeof timeouts.request === 'number')
+            server.requestTimeout = timeouts.request * 1000;
+
+        let maxConnections = this._config.get(`servers.${this.name}.max_connections`);
+        if (typeof maxConnections === 'number')
+            server.maxConnections = maxConnections;
+
+        let maxHeaders = this._config.get(`servers.${this.name}.max_headers`);
+        if (typeof maxHeaders === 'number')
+            server.maxHeadersCount = maxHeaders;
+    }
+
+    /**
+     * Resolve config path relative to base path
+     * @param {string} [filename]           The path
+     * @return {string|undefined}
+     */
+    _resolvePath(filename) {
+        if (filename && filename[0] !== '/')
+            return path.join(this._config.base_path, filename);
+        return filename;
+    }
+
+    /**
+     * SSL files of the server
+     * @param {string} [hostname]           SNI hostname, default pair if omitted
+     * @return {object}                     Object of key, cert and ca paths
+     */
+    _getCertificateFiles(hostname) {
+        let config = this._config.get(`servers.${this.name}.ssl`) || {};
+        if (hostname)
+            config = (config.sni && config.sni[hostname]) || {};
+
+        return {
+            key: this._resolvePath(config.key),
+            cert: this._resolvePath(config.cert),
+            ca: this._resolvePath(config.ca),
+        };
+    }
+
+    /**
+     * Read SSL files
+     * @param {string} [hostname]           SNI hostname, default pair if omitted
+     * @return {Promise}                    Resolves to secure context options
+     */
+    async _loadCertificates(hostname) {
+        let { key, cert, ca } = this._getCertificateFiles(hostname);
+
+        let promises = [
+            this._filer.lockReadBuffer(key),
+            this._filer.lockReadBuffer(cert),
+        ];
+        if (ca)
+            promises.push(this._filer.lockReadBuffer(ca));
+
+        let [keyVal, certVal, caVal] = await Promise.all(promises);
+        let options = {
+            key: keyVal,
+            cert: certVal,
+        };
+        if (caVal)
+            options.ca = caVal;
+
+        return options;
+    }
+
+    /**
+     * Create secure contexts of SNI hostnames
+     * @return {Promise}                    Resolves to Map of hostname -> context
+     */
+    async _loadSniContexts() {
+        let contexts = new Map();
+        let sni = this._config.get(`servers.${this.name}.ssl.sni`) || {};
+        for (let hostname of Object.keys(sni)) {
+            let { key, cert } = this._getCertificateFiles(hostname);
+            if (!key || !cert)
+                throw new Error(`${this._tag}: SNI hostname ${hostname} requires both key and cert`);
+
+            let options;
+            try {
+                options = await this._loadCertificates(hostname);
+            } catch (error) {
+                throw new NError(error, `${this._tag}: Could not read SNI certificate of ${hostname}`);
+            }
+
+            try {
+                contexts.set(hostname.toLowerCase(), tls.createSecureContext(options));
+            } catch (error) {
+                throw new NError(error, `${this._tag}: SNI certificate of ${hostname} does not match its key`);
+            }
+        }
+        return contexts;
+    }
+
+    /**
+     * SNI callback of TLS server. Default context is used when no hostname matches
+     * @return {function}
+     */
+    _getSniCallback() {
+        return (servername, cb) => {
+            let hostname = (servername || '').toLowerCase();
+            let context = this._sniContexts.get(hostname);
+            if (!context && hostname.includes('.'))
+                context = this._sniContexts.get('*' + hostname.slice(hostname.indexOf('.')));
+            cb(null, context || null);
+        };
+    }
+
+    /**
+     * Get latest modification time of SSL files
+     * @return {Promise}                    Resolves to time in ms
+     */
+    async _getCertificatesTime() {
+        let files = [];
+        for (let hostname of [ null, ...Object.keys(this._config.get(`servers.${this.name}.ssl.sni`) || {}) ]) {
+            for (let filename of Object.values(this._getCertificateFiles(hostname))) {
+                if (filename)
+                    files.push(filename);
+            }
+        }
+        let times = await Promise.all(files.map(filename => {
+            return new Promise((resolve, reject) => {
+                fs.stat(filename, (error, stats) => {
+                    if (error)
+                        return reject(error);
+
+                    resolve(stats.mtime.getTime());
+                });
+            });
+        }));
+        return Math.max(0, ...times);
+    }
+
+    /**
+     * Get certificate expiration date
+     * @param {Buffer} cert                 The certificate
+     * @return {Date|null}
+     */
+    _getCertificateExpiration(cert) {
+        if (!crypto.X509Certificate)
+            return null;
+
+        try {
+            return new Date(new crypto.X509Certificate(cert).validTo);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Create application of HTTP redirect server. Allowed paths are served from the static dirs,
+     * everything else is redirected to HTTPS on servers.<name>.ssl.redirect_to_port or the port the first
+     * TCP listener is bound to
+     * @return {function}
+     */
+    _createRedirectApp() {
+        let app = express();
+        let allowed = this._config.get(`servers.${this.name}.ssl.redirect_allow`) || [ '/.well-known/acme-challenge/' ];
+
+        app.use((req, res, next) => {
+            res.set('Connection', 'close');
+            if (allowed.some(prefix => req.path.startsWith(prefix)))
+                return next();
+
+            let host = this._config.get(`servers.${this.name}.ssl.redirect_host`) || req.hostname;
+            if (!host)
+                return res.sendStatus(400);
+
+            let port = this._normalizePort(this._config.get(`servers.${this.name}.ssl.redirect_to_port`));
+            if (typeof port !== 'number') {
+                let address = this.servers.map(server => server.address()).find(address => address && typeof address === 'object');
+                port = address ? address.port : null;
+            }
+            let location = 'https://' + host + (typeof port !== 'number' || port === 443 ? '' : ':' + port) + req.originalUrl;
+            res.redirect([ 'GET', 'HEAD' ].includes(req.method) ? 301 : 308, location);
+        });
+
+        for (let [ moduleName, moduleConfig ] of this._config.modules) {
+            for (let dir of moduleConfig.static || []) {
+                let filename = dir[0] === '/'
+                    ? dir
+                    : path.join(this._config.base_path, 'modules', moduleName, dir);
+                app.use(express.static(filename));
+            }
+        }
+
+        app.use((req, res) => {
+            res.sendStatus(404);
+        });
+
+        return app;
+    }
+
+    /**
+     * Create the app rendering the views of a virtual host, it inherits the settings and locals of the server
+     * @param {string[]} views              View directories
+     * @return {object}
+     */
+    _createHostApp(views) {
+        let app = express();
+        for (let key of Object.keys(app.settings))
+            delete app.settings[key];
+        app.set('views', views);
+        Object.setPrototypeOf(app.locals, this.express.locals);
+
+        app.mountpath = '/';
+        app.parent = this.express;
+        app.emit('mount', this.express);
+        return app;
+    }
+
+    /**
+     * Middleware resolving the virtual host of the request as req.vhost. Unknown hosts are served as
+     * servers.<name>.default_host or rejected with servers.<name>.unmatched_host_status (421 by default).
+     * Health and metrics paths and servers.<name>.host_exempt paths are served for any host, as load
+     * balancers call them by IP
+     * @return {function}
+     */
+    _getHostHandler() {
+        let health = this._config.get(`servers.${this.name}.health`) || {};
+        let metrics = this._config.get(`servers.${this.name}.metrics`) || {};
+        let exempt = new Set([
+            health.live_path || '/livez',
+            health.health_path || '/healthz',
+            health.ready_path || '/readyz',
+            metrics.path || '/metrics',
+        ].concat(this._config.get(`servers.${this.name}.host_exempt`) || []));
+
+        return (req, res, next) => {
+            if (!this.hosts.size)
+                return next();
+
+            let hostname = req.hostname && req.hostname.toLowerCase();
+            if (!this.matchHost(hostname)) {
+                hostname = this._config.get(`servers.${this.name}.default_host`);
+                if (!hostname && exempt.has(req.path))
+                    return next();
+                if (!hostname) {
+                    let status = this._config.get(`servers.${this.name}.unmatched_host_status`) || 421;
+                    return next(new NError({ httpStatus: status }, http.STATUS_CODES[status]));
+                }
+            }
+            req.vhost = hostname;
+
+            let app = this._hostApps.get(this.matchHost(hostname, this._hostApps.keys()));
+            if (app)
+                req.app = app;
+
+            next();
+        };
+    }
+
+    /**
+     * Request handler of HTTP/2 server. Express replaces request and response prototypes with its own
+     * ones based on node http classes, so HTTP/2 requests are given copies based on http2 compatibility API
+     * @return {function}
+     */
+    _getHttp2Handler() {
+        let request = Object.create(
+            Object.create(http2.Http2ServerRequest.prototype, Object.getOwnPropertyDescriptors(express.request)),
+            { app: { configurable: true, enumerable: true, writable: true, value: this.express } }
+        );
+        let response = Object.create(
+            Object.create(http2.Http2ServerResponse.prototype, Object.getOwnPropertyDescriptors(express.response)),
+            { app: { configurable: true, enumerable: true, writable: true, value: this.express } }
+        );
+
+        return (req, res) => {
+            if (req.httpVersionMajor < 2)
+                return this.express(req, res);
+
+            // HTTP/2 clients send :authority instead of Host
+            if (!req.headers.host && req.headers[':authority'])
+                req.headers.host = req.headers[':authority'];
+
+            // express initializes the prototypes synchronously
+            let { request: origRequest, response: origResponse } = this.express;
+            this.express.request = request;
+            this.express.response = response;
+            try {
+                this.express(req, res);
+            } finally {
+                this.express.request = origRequest;
+                this.express.response = origResponse;
+            }
+        };
+    }
+
+    /**
+     * Deliver socket message locally and publish it through the adapter
+     * @param {object} message              The message
+     */
+    _dispatch(message) {
+        this._deliver(message);
+        if (!this.adapter)
+            return;
+
+        this.adapter.publish(Object.assign({ origin: this._origin }, message))
+            .catch(error => {
+                this._logger.error(new NError(error, 'Express._dispatch()'));
+            });
+    }
+
+    /**
+     * Deliver socket message to the sockets of this process
+     * @param {object} message              The message
+     */
+    _deliver(message) {
+        switch (message.type) {
+            case 'namespace':
+                for (let info of this.sockets.values()) {
+                    if (info.namespace === message.namespace)
+                        info.socket.emit(message.event, ...message.args);
+                }
+                break;
+            case 'room':
+                for (let id of this.rooms.get(message.room) || [])
+                    this.send(id, message.event, ...message.args);
+                break;
+        }
+    }
+
+    /**
+     * Install middleware and connection handler of a socket.io namespace
+     * @param {string} namespace            Namespace
+     * @param {boolean} [authRequired]      Reject sockets without user
+     */
+    _setupNamespace(namespace, authRequired) {
+        let nsp = this.io.of(namespace);
+        if (this.limiter)
+            nsp.use(this.limiter.getConnectionHandler(namespace));
+        for (let handler of this.socketMiddleware)
+            nsp.use(handler);
+        if (authRequired) {
+            nsp.use((socket, next) => {
+                next(socket.user ? undefined : new Error('Authentication required'));
+            });
+        }
+        nsp.on('connection', socket => this.onSocketConnection(namespace, socket));
+    }
+
+    /**
+     * Name of the server event re-emitting socket event: "socket_<event>" for the default namespace and
+     * "socket:<namespace>:<event>" for the others
+     * @param {string} namespace            Namespace
+     * @param {string} event                Socket event name
+     * @return {string}
+     */
+    _getSocketEventName(namespace, event) {
+        return namespace === '/' ? `socket_${event}` : `socket:${namespace}:${event}`;
+    }
+
+    /**
+     * Parse name of the server event re-emitting socket event
+     * @param {string} event                Event name
+     * @return {Array|null}                 Returns [ namespace, socket event ] or null
+     */
+    _parseSocketEvent(event) {
+        if (typeof event !== 'string')
+            return null;
+
+        if (event.startsWith('socket_'))
+            return [ '/', event.split('_').slice(1).join('_') ];
+
+        let match = /^socket:(\/[^:]*):(.+)$/.exec(event);
+        return match ? [ match[1], match[2] ] : null;
+    }
+
+    /**
+     * Web socket event handler
+     * @param {string} namespace            Namespace
+     * @param {string} event                Event name
+     * @param {string} id                   Socket ID
+     */
+    _getSocketEventHandler(namespace, event, id) {
+        let name = this._getSocketEventName(namespace, event);
+        return (...args) => {
+            args.unshift(id);
+            this.emit(name, ...args);
+        };
+    }
+
+    /**
+     * Install RPC listener on a socket
+     * @param {string} name                 RPC name
+     * @param {string} id                   Socket ID
+     * @param {object} info                 Socket info
+     */
+    _installRpc(name, id, info) {
+        if (info.rpc.has(name))
+            return;
+
+        let listener = (payload, ack) => {
+            if (typeof payload === 'function') {
+                ack = payload;
+                payload = undefined;
+            }
+            return this._callRpc(name, id, payload, ack);
+        };
+        info.socket.on(name, listener);
+        info.rpc.set(name, listener);
+    }
+
+    /**
+     * Call RPC handler and acknowledge the result
+     * @param {string} name                 RPC name
+     * @param {string} id                   Socket ID
+     * @param {*} payload                   Call payload
+     * @param {function} [ack]              Acknowledgement callback
+     * @return {Promise}
+     */
+    async _callRpc(name, id, payload, ack) {
+        let response;
+        let timer;
+        try {
+            let info = this.sockets.get(id);
+            let rpc = info && this.rpcHandlers.has(info.namespace) && this.rpcHandlers.get(info.namespace).get(name);
+            if (!rpc || !info)
+                throw new NError({ httpStatus: 404 }, `Unknown RPC ${name}`);
+
+            if (rpc.validate) {
+                let result = await rpc.validate(payload);
+                if (result === false || typeof result === 'string')
+                    throw new NError({ httpStatus: 400 }, result || 'Invalid payload');
+            }
+
+            let result = await Promise.race([
+                rpc.handler(id, payload, { socket: info.socket, session: info.session, user: info.user }),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new NError({ httpStatus: 504 }, `RPC ${name} timeout`)), rpc.timeout);
+                }),
+            ]);
+            response = { success: true, result };
+        } catch (error) {
+            let info = error.info || {};
+            let status = info.httpStatus || 500;
+            if (status === 500)
+                this._logger.error(new NError(error, `Express RPC ${name}`));
+
+            response = { success: false, error: { status, message: error.message, info } };
+            if (status === 500 && this._config.get('env') !== 'development')
+                response.error = { status, message: http.STATUS_CODES[status], info: {} };
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (typeof ack === 'function')
+            ack(response);
+    }
+
+    /**
+     * Re-emitted events of a namespace: socketEvents of the default one, namespaceEvents of the others
+     * @param {string} namespace            The namespace
+     * @param {boolean} [create=false]      Add the set of the namespace to namespaceEvents if missing
+     * @return {Set}
+     */
+    _getSocketEvents(namespace, create = false) {
+        if (namespace === '/')
+            return this.socketEvents;
+
+        let events = this.namespaceEvents.get(namespace);
+        if (!events) {
+            events = new Set();
+            if (create)
+                this.namespaceEvents.set(namespace, events);
+        }
+        return events;
+    }
+
+    /**
+     * Install re-emitting event handlers for socket event
+     * @param {string} event                Event name starting with "socket_" or "socket:"
+     */
+    _installSocketEvent(event) {
+        let [ namespace, socketEvent ] = this._parseSocketEvent(event);
+        if (this.constructor.serverSocketEvents.includes(socketEvent))
+            return;
+
+        this._getSocketEvents(namespace, true).add(socketEvent);
+
+        for (let [id, info] of this.sockets) {
+            if (info.namespace !== namespace || info.handlers.has(socketEvent))
+                continue;
+
+            let handler = this._getSocketEventHandler(namespace, socketEvent, id);
+            info.socket.on(socketEvent, handler);
+            info.handlers.set(socketEvent, handler);
+        }
+    }
+
+    /**
+     * Remove re-emitting event handlers for socket event
+     * @param {string} event                Event name starting with "socket_" or "socket:"
+     */
+    _removeSocketEvent(event) {
+        let [ namespace, socketEvent ] = this._parseSocketEvent(event);
+        this._getSocketEvents(namespace).delete(socketEvent);
+
+        for (let info of this.sockets.values()) {
+            if (info.namespace !== namespace)
+                continue;
+
             let handler = info.handlers.get(socketEvent);
             if (!handler)
                 continue;
@@ -0,0 +1,77 @@
+/**
+ * IPC socket adapter
+ * @module express/services/ipc-socket-adapter
+ */
+const cluster = require('cluster');
+const SocketAdapter = require('./socket-adapter');
+
+/**
+ * Socket adapter for cluster workers, the master relays the messages to the other workers of the server.
+ * Outside of a worker there are no other processes and the messages are dropped
+ */
+class IpcSocketAdapter extends SocketAdapter {
+    /**
+     * Create the service
+     */
+    constructor() {
+        super();
+        this._listener = null;
+    }
+
+    /**
+     * Service name is 'ipcSocketAdapter'
+     * @type {string}
+     */
+    static get provides() {
+        return 'ipcSocketAdapter';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Attach the adapter to a server
+     * @param {Express} server                      The server
+     * @param {SocketAdapterHandler} handler        Handler of messages from other processes
+     * @return {Promise}
+     */
+    async init(server, handler) {
+        this.server = server;
+        if (!cluster.isWorker)
+            return;
+
+        this._listener = message => {
+            if (message && message.server === server.name && message.event === 'socket_adapter')
+                handler(message.message);
+        };
+        process.on('message', this._listener);
+    }
+
+    /**
+     * Publish a message to other processes
+     * @param {object} message                      The message
+     * @return {Promise}
+     */
+    async publish(message) {
+        if (this._listener)
+            process.send({ server: this.server.name, event: 'socket_adapter', message });
+    }
+
+    /**
+     * Adapter termination
+     * @return {Promise}
+     */
+    async done() {
+        if (this._listener) {
+            process.removeListener('message', this._listener);
+            this._listener = null;
+        }
+    }
+}
+
+module.exports = IpcSocketAdapter;
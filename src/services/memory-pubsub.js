@@ -0,0 +1,125 @@
+/**
+ * In-process PubSub client
+ * @module express/services/memory-pubsub
+ */
+
+/**
+ * Subscribed handlers: server name → channel name → Set of handlers
+ * @type {Map}
+ */
+const servers = new Map();
+
+/**
+ * PubSub client delivering the messages within the process. A local stand-in for Redis,
+ * use 'memory.<name>' as PubSub server name
+ * @property {Map} channels                         Registered channels (name → Set of handlers)
+ */
+class MemoryPubSub {
+    /**
+     * Create the service
+     * @param {string} serverName                   Server name
+     * @param {string} [subscriberName]             Subscriber name
+     */
+    constructor(serverName, subscriberName) {
+        this.channels = new Map();
+
+        this._serverName = serverName;
+        this._subscriberName = subscriberName;
+    }
+
+    /**
+     * Service name is 'memoryPubSub'
+     * @type {string}
+     */
+    static get provides() {
+        return 'memoryPubSub';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Client termination
+     */
+    done() {
+        for (let [ channel, handlers ] of this.channels) {
+            for (let handler of handlers)
+                this._getBus(channel).delete(handler);
+        }
+        this.channels.clear();
+    }
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel                      Channel name
+     * @param {function} handler                    Handler function
+     * @return {Promise}                            Resolves on success
+     */
+    async subscribe(channel, handler) {
+        let handlers = this.channels.get(channel);
+        if (!handlers) {
+            handlers = new Set();
+            this.channels.set(channel, handlers);
+        }
+        if (handlers.has(handler))
+            throw new Error(`Channel already subscribed: ${channel}`);
+
+        handlers.add(handler);
+        this._getBus(channel).add(handler);
+    }
+
+    /**
+     * Unsubscribe from a channel
+     * @param {string} channel                      Channel name
+     * @param {function} handler                    Handler function
+     * @return {Promise}                            Resolves on success
+     */
+    async unsubscribe(channel, handler) {
+        let handlers = this.channels.get(channel);
+        if (!handlers || !handlers.has(handler))
+            throw new Error(`No such handler in the channel: ${channel}`);
+
+        handlers.delete(handler);
+        if (!handlers.size)
+            this.channels.delete(channel);
+        this._getBus(channel).delete(handler);
+    }
+
+    /**
+     * Publish a message after passing it through JSON.stringify()
+     * @param {string} channel                      Channel name
+     * @param {*} message                           Message
+     * @return {Promise}                            Resolves on success
+     */
+    async publish(channel, message) {
+        let json = JSON.stringify(message);
+        for (let handler of this._getBus(channel))
+            setImmediate(() => handler(JSON.parse(json)));
+    }
+
+    /**
+     * Get handlers of a channel shared by the clients of the server
+     * @param {string} channel                      Channel name
+     * @return {Set}
+     */
+    _getBus(channel) {
+        let channels = servers.get(this._serverName);
+        if (!channels) {
+            channels = new Map();
+            servers.set(this._serverName, channels);
+        }
+        let handlers = channels.get(channel);
+        if (!handlers) {
+            handlers = new Set();
+            channels.set(channel, handlers);
+        }
+        return handlers;
+    }
+}
+
+module.exports = MemoryPubSub;
@@ -0,0 +1,216 @@
+/**
+ * OpenAPI service
+ * @module express/services/open-api
+ */
+const http = require('http');
+
+/**
+ * OpenAPI 3 document of the routes registered through express.routes. The parameters, bodies and
+ * responses are taken from the route descriptors, express routers only contribute their paths.
+ * When API versions share the paths (versioning by 'accept' or 'header') the document describes
+ * a single version, the default or the latest one unless requested
+ */
+class OpenApi {
+    /**
+     * Create the service
+     * @param {object} config           Configuration
+     * @param {Routes} routes           Routes middleware
+     */
+    constructor(config, routes) {
+        this._config = config;
+        this._routes = routes;
+    }
+
+    /**
+     * Service name is 'openApi'
+     * @type {string}
+     */
+    static get provides() {
+        return 'openApi';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'express.routes' ];
+    }
+
+    /**
+     * Methods of OpenAPI path item
+     * @type {string[]}
+     */
+    static get methods() {
+        return [ 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace' ];
+    }
+
+    /**
+     * Generate the document. Title, version and description are servers.<name>.openapi options,
+     * application name and version are the defaults. The version of the API is the version of the document
+     * @param {string} serverName       Server name
+     * @param {string} [version]        API version, all the versions when they are URL prefixes
+     * @return {object}
+     */
+    generate(serverName, version) {
+        let versioning = this._routes.getVersioning(serverName);
+        if (version !== undefined && version !== null)
+            version = String(version).replace(/^v/i, '');
+        else if (versioning.by === 'url')
+            version = null;
+        else
+            version = versioning.default || this._routes.getVersions(serverName)[0] || null;
+
+        let options = this._config.get(`servers.${serverName}.openapi`) || {};
+        let doc = {
+            openapi: '3.0.0',
+            info: {
+                title: options.title || this._config.name,
+                version: version === null ? (options.version || this._config.version) : version,
+            },
+            paths: {},
+            components: {
+                schemas: {
+                    Form: this._getFormSchema(),
+                },
+            },
+        };
+        if (options.description)
+            doc.info.description = options.description;
+
+        for (let route of this._routes.getRoutes(serverName)) {
+            if (version !== null && route.version !== null && route.version !== version)
+                continue;
+
+            let method = route.method.toLowerCase();
+            if (!this.constructor.methods.includes(method))
+                continue;
+
+            let path = this._convertPath(route.path);
+            if (!doc.paths[path])
+                doc.paths[path] = {};
+            if (!doc.paths[path][method])
+                doc.paths[path][method] = this._getOperation(route);
+        }
+
+        return doc;
+    }
+
+    /**
+     * Operation object of the route
+     * @param {object} route            Route as returned by Routes.getRoutes()
+     * @return {object}
+     */
+    _getOperation(route) {
+        let descriptor = route.descriptor || {};
+        let operation = {
+            tags: [ route.module.replace(/^modules\./, '') ],
+        };
+        if (descriptor.summary)
+            operation.summary = descriptor.summary;
+        if (descriptor.description)
+            operation.description = descriptor.description;
+        if (route.deprecated)
+            operation.deprecated = true;
+
+        let parameters = [];
+        let pathParams = (route.path.match(/:\w+/g) || []).map(name => name.slice(1));
+        for (let name of pathParams)
+            parameters.push({ name, in: 'path', required: true, schema: this._getProperty(descriptor.params, name) });
+        for (let name of Object.keys((descriptor.query && descriptor.query.properties) || {})) {
+            let parameter = { name, in: 'query', schema: descriptor.query.properties[name] };
+            if ((descriptor.query.required || []).includes(name))
+                parameter.required = true;
+            parameters.push(parameter);
+        }
+        if (parameters.length)
+            operation.parameters = parameters;
+
+        if (descriptor.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: descriptor.body } },
+            };
+        }
+
+        operation.responses = {
+            200: descriptor.response
+                ? { description: 'Success', content: { 'application/json': { schema: descriptor.response } } }
+                : { description: 'Success' },
+        };
+        if (descriptor.params || descriptor.query || descriptor.body) {
+            operation.responses[400] = {
+                description: http.STATUS_CODES[400],
+                content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Form' } } },
+            };
+        }
+        if (descriptor.auth)
+            operation.responses[401] = { description: http.STATUS_CODES[401] };
+        operation.responses[500] = { description: http.STATUS_CODES[500] };
+
+        return operation;
+    }
+
+    /**
+     * Schema of an object property, string by default
+     * @param {object} [schema]         Object schema
+     * @param {string} name             Property name
+     * @return {object}
+     */
+    _getProperty(schema, name) {
+        return (schema && schema.properties && schema.properties[name]) || { type: 'string' };
+    }
+
+    /**
+     * Convert express path to OpenAPI template
+     * @param {string} path             Express path
+     * @return {string}
+     */
+    _convertPath(path) {
+        return path.replace(/:(\w+)\??/g, '{$1}');
+    }
+
+    /**
+     * Schema of validation errors: problem details with the members of Form.toJSON()
+     * @return {object}
+     */
+    _getFormSchema() {
+        return {
+            type: 'object',
+            properties: {
+                type: { type: 'string' },
+                title: { type: 'string' },
+                status: { type: 'integer' },
+                detail: { type: 'string' },
+                instance: { type: 'string' },
+                success: { type: 'boolean' },
+                messages: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: { type: { type: 'string' }, message: { type: 'string' } },
+                    },
+                },
+                form: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            valid: { type: 'boolean' },
+                            value: {},
+                            errors: {
+                                type: 'object',
+                                additionalProperties: {
+                                    type: 'object',
+                                    properties: { message: { type: 'string' } },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        };
+    }
+}
+
+module.exports = OpenApi;
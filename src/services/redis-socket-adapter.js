@@ -0,0 +1,83 @@
+/**
+ * Redis socket adapter
+ * @module express/services/redis-socket-adapter
+ */
+const SocketAdapter = require('./socket-adapter');
+
+/**
+ * Socket adapter publishing the messages through PubSub service. The PubSub server is
+ * servers.<name>.socket.adapter.pubsub, 'redis.main' by default ('memory.main' is a local stand-in)
+ */
+class RedisSocketAdapter extends SocketAdapter {
+    /**
+     * Create the service
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration
+     */
+    constructor(app, config) {
+        super();
+        this._app = app;
+        this._config = config;
+        this._pubsub = null;
+        this._channel = null;
+        this._handler = null;
+    }
+
+    /**
+     * Service name is 'redisSocketAdapter'
+     * @type {string}
+     */
+    static get provides() {
+        return 'redisSocketAdapter';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config' ];
+    }
+
+    /**
+     * Attach the adapter to a server
+     * @param {Express} server                      The server
+     * @param {SocketAdapterHandler} handler        Handler of messages from other processes
+     * @return {Promise}
+     */
+    async init(server, handler) {
+        this.server = server;
+
+        let options = this._config.get(`servers.${server.name}.socket.adapter`) || {};
+        this._channel = options.channel || `${this._config.project}:socket:${server.name}`;
+        this._handler = handler;
+        this._pubsub = await this._app.get('pubsub').connect(options.pubsub || 'redis.main');
+        await this._pubsub.subscribe(this._channel, this._handler);
+    }
+
+    /**
+     * Publish a message to other processes
+     * @param {object} message                      The message
+     * @return {Promise}
+     */
+    async publish(message) {
+        if (this._pubsub)
+            await this._pubsub.publish(this._channel, message);
+    }
+
+    /**
+     * Adapter termination
+     * @return {Promise}
+     */
+    async done() {
+        if (!this._pubsub)
+            return;
+
+        let pubsub = this._pubsub;
+        this._pubsub = null;
+        await pubsub.unsubscribe(this._channel, this._handler);
+        pubsub.done();
+    }
+}
+
+module.exports = RedisSocketAdapter;
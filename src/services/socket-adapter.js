@@ -0,0 +1,52 @@
+/**
+ * Socket adapter base class
+ * @module express/services/socket-adapter
+ */
+
+/**
+ * Socket message callback
+ * @callback SocketAdapterHandler
+ * @param {object} message                          Message published by another process
+ */
+
+/**
+ * Cross-process fan-out of socket broadcast and room messages
+ * @property {Express} server                       The server
+ */
+class SocketAdapter {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.server = null;
+    }
+
+    /**
+     * Attach the adapter to a server
+     * @param {Express} server                      The server
+     * @param {SocketAdapterHandler} handler        Handler of messages from other processes
+     * @return {Promise}
+     */
+    async init(server, handler) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Publish a message to other processes
+     * @param {object} message                      The message
+     * @return {Promise}
+     */
+    async publish(message) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Adapter termination
+     * @return {Promise}
+     */
+    async done() {
+        throw new Error('Not implemented');
+    }
+}
+
+module.exports = SocketAdapter;
@@ -0,0 +1,187 @@
+/**
+ * Socket limiter service
+ * @module express/services/socket-limiter
+ */
+
+/**
+ * Token bucket rate limits, payload size and connections per IP limits of socket.io clients.
+ * Configured as servers.<name>.socket.limits: rate, burst, user_rate, user_burst (tokens per second
+ * and bucket size, globally), events (same per event name), max_payload (bytes),
+ * max_connections_per_ip and warnings (violations before the socket is disconnected). The socket_rate_limited
+ * event of the server reports the events not listened to by the server as "other"
+ */
+class SocketLimiter {
+    /**
+     * Create the service
+     * @param {object} config                   Configuration
+     * @param {Express} server                  The server
+     */
+    constructor(config, server) {
+        this.server = server;
+
+        this._config = config;
+        this._sockets = new Map();
+        this._users = new Map();
+    }
+
+    /**
+     * Service name is 'socketLimiter'
+     * @type {string}
+     */
+    static get provides() {
+        return 'socketLimiter';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config' ];
+    }
+
+    /**
+     * Limits config
+     * @type {object}
+     */
+    get limits() {
+        return this._config.get(`servers.${this.server.name}.socket.limits`) || {};
+    }
+
+    /**
+     * Get handshake middleware enforcing connections per IP limit
+     * @param {string} namespace                Namespace
+     * @return {function}
+     */
+    getConnectionHandler(namespace) {
+        return (socket, next) => {
+            let max = this.limits.max_connections_per_ip;
+            if (!max)
+                return next();
+
+            let ip = socket.handshake.address;
+            let count = 0;
+            for (let info of this.server.sockets.values()) {
+                if (info.namespace === namespace && info.ip === ip)
+                    count++;
+            }
+            if (count < max)
+                return next();
+
+            this.server.emit('socket_rate_limited', null, 'connection', 'connections_per_ip');
+            next(new Error('Too many connections'));
+        };
+    }
+
+    /**
+     * Start limiting a socket
+     * @param {string} id                       Socket ID
+     * @param {object} info                     Socket info
+     */
+    attach(id, info) {
+        let state = { buckets: new Map(), violations: 0 };
+        this._sockets.set(id, state);
+
+        info.socket.use((packet, next) => {
+            let event = String(packet[0]);
+            let reason = this._check(info, state, event, packet);
+            if (!reason)
+                return next();
+
+            let label = this.server.isSocketEvent(event, info.namespace) ? event : 'other';
+            this.server.emit('socket_rate_limited', id, label, reason);
+
+            let ack = packet[packet.length - 1];
+            if (typeof ack === 'function')
+                ack({ success: false, error: { status: 429, message: 'Too Many Requests', info: { reason } } });
+
+            let { warnings = 3 } = this.limits;
+            if (++state.violations > warnings)
+                return info.socket.disconnect(true);
+
+            info.socket.emit('rate_limited', { event, reason });
+        });
+    }
+
+    /**
+     * Stop limiting a socket
+     * @param {string} id                       Socket ID
+     * @param {object} info                     Socket info
+     */
+    detach(id, info) {
+        this._sockets.delete(id);
+        if (info.user && !this.server.socketsOfUser(info.user.id).some(other => other !== id))
+            this._users.delete(info.user.id);
+    }
+
+    /**
+     * Check the packet
+     * @param {object} info                     Socket info
+     * @param {object} state                    Socket limiter state
+     * @param {string} event                    Event name
+     * @param {Array} packet                    The packet
+     * @return {string|null}                    Returns the violated limit
+     */
+    _check(info, state, event, packet) {
+        let limits = this.limits;
+        let eventLimits = (limits.events && limits.events[event]) || {};
+
+        if (limits.max_payload) {
+            let args = packet.slice(1).filter(arg => typeof arg !== 'function');
+            if (Buffer.byteLength(JSON.stringify(args) || '') > limits.max_payload)
+                return 'payload_size';
+        }
+
+        let user = null;
+        if (info.user) {
+            user = this._users.get(info.user.id);
+            if (!user) {
+                user = new Map();
+                this._users.set(info.user.id, user);
+            }
+        }
+
+        let checks = [
+            [ state.buckets, '*', limits.rate, limits.burst, 'socket_rate' ],
+            [ state.buckets, event, eventLimits.rate, eventLimits.burst, 'socket_event_rate' ],
+        ];
+        if (user) {
+            checks.push([ user, '*', limits.user_rate, limits.user_burst, 'user_rate' ]);
+            checks.push([ user, event, eventLimits.user_rate, eventLimits.user_burst, 'user_event_rate' ]);
+        }
+
+        for (let [ buckets, key, rate, burst, reason ] of checks) {
+            if (rate && !this._take(buckets, key, rate, burst || rate))
+                return reason;
+        }
+
+        return null;
+    }
+
+    /**
+     * Take a token from the bucket
+     * @param {Map} buckets                     Buckets by key
+     * @param {string} key                      Bucket key
+     * @param {number} rate                     Tokens per second
+     * @param {number} burst                    Bucket size
+     * @return {boolean}                        Returns false if the bucket is empty
+     */
+    _take(buckets, key, rate, burst) {
+        let now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updated: now };
+            buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) / 1000 * rate);
+        bucket.updated = now;
+        if (bucket.tokens < 1)
+            return false;
+
+        bucket.tokens--;
+        return true;
+    }
+}
+
+module.exports = SocketLimiter;